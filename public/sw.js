@@ -0,0 +1,135 @@
+// VaporPlayer service worker. Keeps the app shell so the player starts
+// without a connection, and answers stream/artwork requests from the
+// pinned cache that src/offline.js fills.
+
+const SHELL_CACHE = "vaporplayer-shell-v2";
+// Must match PINNED_CACHE in src/offline.js. One cache per account, named
+// "vaporplayer-pinned:<user id>".
+const PINNED_CACHE = "vaporplayer-pinned";
+const SHELL = ["/manifest.webmanifest", "/icon.svg"];
+// Pinned media is cached without the signing parameters, which change
+// with every grant. Must match GRANT_PARAMS in src/offline.js.
+const GRANT_PARAMS = ["u", "exp", "sig"];
+
+function cacheKey(url) {
+  const key = new URL(url);
+  for (const param of GRANT_PARAMS) key.searchParams.delete(param);
+  return key.href;
+}
+
+// The page plus everything it loads from this origin. The built JS and CSS
+// have hashed names only index.html knows, so they're read from it; without
+// them a first offline start would be a blank page.
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  const page = await fetch("/", { cache: "no-cache" });
+  if (!page.ok) throw new Error(`Fetching / failed: ${page.status}`);
+  const html = await page.clone().text();
+  const linked = [...html.matchAll(/(?:src|href)="(\/[^/"][^"]*)"/g)].map((m) => m[1]);
+  await cache.addAll([...new Set([...SHELL, ...linked])]);
+  await cache.put("/", page);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            // The shared pinned cache from before accounts had their own
+            .filter(
+              (key) =>
+                (key.startsWith("vaporplayer-shell-") && key !== SHELL_CACHE) ||
+                key === PINNED_CACHE
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// <audio> asks for byte ranges; the cache holds whole files, so ranges are
+// cut from the cached body
+async function rangeResponse(cached, header) {
+  const range = /^bytes=(\d*)-(\d*)$/.exec(header || "");
+  if (!range || (!range[1] && !range[2])) return cached;
+  const blob = await cached.blob();
+  const size = blob.size;
+  const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+  const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+  if (start >= size || start > end) {
+    return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      "Content-Type": cached.headers.get("Content-Type") || "application/octet-stream",
+      "Content-Range": `bytes ${start}-${end}/${size}`,
+      "Content-Length": String(end - start + 1),
+      "Accept-Ranges": "bytes",
+    },
+  });
+}
+
+// From the pinned cache of the account the link's grant is for; without a
+// grant (signed out) it goes to the server, which turns it away
+async function fromPinned(request) {
+  const user = new URL(request.url).searchParams.get("u");
+  if (!user) return fetch(request);
+  const cache = await caches.open(`${PINNED_CACHE}:${user}`);
+  const cached = await cache.match(cacheKey(request.url));
+  if (!cached) return fetch(request);
+  return rangeResponse(cached, request.headers.get("Range"));
+}
+
+// The page itself: fresh when online, the cached copy otherwise
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put("/", res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match("/");
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Built assets have hashed names, so a cached copy is always right; other
+// files (icons, the manifest) get refreshed in the background
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request);
+  const fresh = fetch(event.request).then((res) => {
+    if (res.ok) cache.put(event.request, res.clone());
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(fresh.catch(() => {}));
+    return cached;
+  }
+  return fresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // The API may live on another origin (VITE_API_BASE)
+  if (/\/api\/(stream|artwork)\//.test(url.pathname)) {
+    event.respondWith(fromPinned(request));
+    return;
+  }
+  if (url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") event.respondWith(networkFirst(request));
+  else event.respondWith(staleWhileRevalidate(event));
+});
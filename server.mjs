@@ -1,55 +1,365 @@
 import express from "express";
-import fs from "fs";
-import path from "path";
 import cors from "cors";
-import { v4 as uuidv4 } from "uuid";
+import { getArtwork, thumbSize } from "./server/artwork.mjs";
+import { authenticate, login, mediaGrant, requireAdmin, sessionFor } from "./server/auth.mjs";
+import {
+  browseFolder,
+  getAlbum,
+  getArtist,
+  getArtistTracks,
+  listAlbums,
+  listArtists,
+  listGenres,
+  safeRelPath,
+} from "./server/browse.mjs";
+import { attachDeviceHub } from "./server/devices.mjs";
+import { eventStream } from "./server/events.mjs";
+import {
+  MUSIC_DIR,
+  getTrack,
+  getTracks,
+  indexLibrary,
+  loadIndex,
+} from "./server/library.mjs";
+import { getLyrics } from "./server/lyrics.mjs";
+import {
+  PlaylistError,
+  addItems,
+  claimPlaylists,
+  createPlaylist,
+  deletePlaylist,
+  deletePlaylistsOf,
+  exportPlaylist,
+  exportTracks,
+  getPlaylist,
+  importPlaylist,
+  listPlaylists,
+  moveItem,
+  removeItem,
+  updatePlaylist,
+} from "./server/playlists.mjs";
+import { deletePlaysOf } from "./server/plays.mjs";
+import { queryTracks } from "./server/query.mjs";
+import { getScanStatus } from "./server/scanner.mjs";
+import {
+  claimSession,
+  deleteSession,
+  getSession,
+  isSession,
+  saveSession,
+} from "./server/session.mjs";
+import { subsonicApi } from "./server/subsonic.mjs";
+import {
+  UserError,
+  changePassword,
+  createUser,
+  deleteUser,
+  hasUsers,
+  listUsers,
+  publicUser,
+  setSubsonicPassword,
+} from "./server/users.mjs";
+import { watchLibrary } from "./server/watcher.mjs";
 
 const app = express();
 const PORT = process.env.PORT || 5174;
-const MUSIC_DIR = process.env.MUSIC_DIR || "/music";
-
-// Keep a simple in-memory index
-let tracks = [];
-
-function indexLibrary(baseDir) {
-  tracks = [];
-  function walk(dir) {
-    const files = fs.readdirSync(dir);
-    for (const f of files) {
-      const fullPath = path.join(dir, f);
-      const stat = fs.statSync(fullPath);
-      if (stat.isDirectory()) {
-        walk(fullPath);
-      } else if (f.match(/\\.(mp3|flac|wav|aac|ogg)$/i)) {
-        tracks.push({
-          id: uuidv4(),
-          name: f,
-          path: fullPath,
-          relPath: path.relative(baseDir, fullPath),
-        });
-      }
-    }
-  }
-  walk(baseDir);
-  console.log(`Indexed ${tracks.length} tracks`);
+// Other sites allowed to call the API, comma-separated ("*" for any). By
+// default only pages served from the API's own origin can.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Behind a reverse proxy, which hops to trust for the client's address
+// (X-Forwarded-For): a count, "loopback", addresses or subnets. Sign-in
+// lockouts go by that address.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 }
-indexLibrary(MUSIC_DIR);
 
-app.use(cors());
+// Start from the index persisted by the last run, then diff it against disk
+loadIndex();
+indexLibrary(MUSIC_DIR)
+  .catch((err) => console.error("Indexing failed", err))
+  .then(() => watchLibrary(MUSIC_DIR));
+
+app.use(cors({ origin: CORS_ORIGINS.includes("*") || CORS_ORIGINS }));
+app.use(express.json({ limit: "5mb" }));
+
+// API: accounts. Handlers return the response body (undefined = 204) and
+// throw UserError for client mistakes.
+const userRoute = (fn, status = 200) => async (req, res) => {
+  try {
+    const body = await fn(req);
+    if (body === undefined) return res.status(204).end();
+    res.status(status).json(body);
+  } catch (err) {
+    if (!(err instanceof UserError)) throw err;
+    res.status(err.status).send(err.message);
+  }
+};
+
+// Whether the first account still has to be created
+app.get("/api/auth/status", (req, res) => {
+  res.json({ setup: !hasUsers() });
+});
+
+// The first account is an admin, and inherits what was saved before accounts
+app.post(
+  "/api/auth/setup",
+  userRoute(async (req) => {
+    const user = await createUser({ ...req.body, admin: true }, { first: true });
+    claimPlaylists(user.id);
+    claimSession(user.id);
+    return sessionFor(user);
+  }, 201)
+);
+
+app.post(
+  "/api/auth/login",
+  userRoute((req) => login(req.ip, req.body?.username, req.body?.password))
+);
+
+// Subsonic clients, which sign in their own way (see server/subsonic.mjs)
+app.use("/rest", subsonicApi);
+
+// Everything below needs a signed-in user (see server/auth.mjs)
+app.use("/api", authenticate);
+
+// The signed-in user, with a fresh media grant
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: publicUser(req.user), media: mediaGrant(req.user) });
+});
+
+// Signs out every other session, so it replies with a new one
+app.put(
+  "/api/auth/password",
+  userRoute(async (req) =>
+    sessionFor(await changePassword(req.user.id, req.body?.current, req.body?.password))
+  )
+);
+
+// The password Subsonic clients sign in with; null turns them off
+app.put(
+  "/api/auth/subsonic",
+  userRoute((req) => publicUser(setSubsonicPassword(req.user.id, req.body?.password ?? null)))
+);
+
+app.get("/api/users", requireAdmin, (req, res) => {
+  res.json(listUsers());
+});
+
+app.post(
+  "/api/users",
+  requireAdmin,
+  userRoute(async (req) => publicUser(await createUser(req.body)), 201)
+);
+
+app.delete(
+  "/api/users/:id",
+  requireAdmin,
+  userRoute((req) => {
+    if (req.params.id === req.user.id) throw new UserError(400, "You can't delete yourself");
+    deleteUser(req.params.id);
+    deletePlaylistsOf(req.params.id);
+    deleteSession(req.params.id);
+    deletePlaysOf(req.params.id);
+  })
+);
 
-// API: get library
+// API: search, filter, sort and page the library
 app.get("/api/library", (req, res) => {
+  res.json(queryTracks(getTracks(), req.query));
+});
+
+// API: tracks by id, in the order asked for; unknown ids are left out
+app.post("/api/tracks", (req, res) => {
+  const ids = req.body?.ids;
+  if (!Array.isArray(ids)) return res.status(400).send("ids must be an array of track ids");
+  res.json(ids.map(getTrack).filter(Boolean));
+});
+
+// API: browse by artist / album / genre
+app.get("/api/artists", (req, res) => {
+  res.json(listArtists(getTracks()));
+});
+
+app.get("/api/artists/:id", (req, res) => {
+  const artist = getArtist(getTracks(), req.params.id);
+  if (!artist) return res.status(404).send("Not found");
+  res.json(artist);
+});
+
+app.get("/api/artists/:id/tracks", (req, res) => {
+  const tracks = getArtistTracks(getTracks(), req.params.id);
+  if (!tracks) return res.status(404).send("Not found");
   res.json(tracks);
 });
 
+app.get("/api/albums", (req, res) => {
+  res.json(listAlbums(getTracks(), req.query));
+});
+
+app.get("/api/albums/:id", (req, res) => {
+  const album = getAlbum(getTracks(), req.params.id);
+  if (!album) return res.status(404).send("Not found");
+  res.json(album);
+});
+
+app.get("/api/genres", (req, res) => {
+  res.json(listGenres(getTracks()));
+});
+
+// API: folder view of MUSIC_DIR; ?recursive=1 lists every track below
+app.get("/api/browse", (req, res) => {
+  const relDir = safeRelPath(req.query.path);
+  if (relDir === null) return res.status(400).send("Invalid path");
+
+  const folder = browseFolder(getTracks(), relDir, {
+    recursive: req.query.recursive === "1" || req.query.recursive === "true",
+  });
+  if (!folder) return res.status(404).send("Not found");
+  res.json(folder);
+});
+
+// API: playlists. Handlers return the response body (undefined = 204) and
+// throw PlaylistError for client mistakes.
+const playlistRoute = (fn, status = 200) => (req, res) => {
+  try {
+    const body = fn(req);
+    if (body === undefined) return res.status(204).end();
+    res.status(status).json(body);
+  } catch (err) {
+    if (!(err instanceof PlaylistError)) throw err;
+    res.status(err.status).send(err.message);
+  }
+};
+
+app.get("/api/playlists", playlistRoute((req) => listPlaylists(req.user.id)));
+app.post("/api/playlists", playlistRoute((req) => createPlaylist(req.user.id, req.body), 201));
+app.post(
+  "/api/playlists/import",
+  playlistRoute((req) => importPlaylist(req.user.id, req.body), 201)
+);
+app.get("/api/playlists/:id", playlistRoute((req) => getPlaylist(req.user.id, req.params.id)));
+app.put(
+  "/api/playlists/:id",
+  playlistRoute((req) => updatePlaylist(req.user.id, req.params.id, req.body))
+);
+app.delete(
+  "/api/playlists/:id",
+  playlistRoute((req) => deletePlaylist(req.user.id, req.params.id))
+);
+app.post(
+  "/api/playlists/:id/items",
+  playlistRoute((req) => addItems(req.user.id, req.params.id, req.body))
+);
+app.post(
+  "/api/playlists/:id/items/move",
+  playlistRoute((req) => moveItem(req.user.id, req.params.id, req.body))
+);
+app.delete(
+  "/api/playlists/:id/items/:position",
+  playlistRoute((req) => removeItem(req.user.id, req.params.id, Number(req.params.position)))
+);
+
+// API: export a playlist, or any list of tracks, as M3U8
+const sendM3U8 = (res, name, text) => {
+  res.attachment(`${name || "playlist"}.m3u8`);
+  res.send(text);
+};
+
+app.get("/api/playlists/:id/export", (req, res) => {
+  try {
+    const { id } = req.params;
+    sendM3U8(res, getPlaylist(req.user.id, id).name, exportPlaylist(req.user.id, id));
+  } catch (err) {
+    if (!(err instanceof PlaylistError)) throw err;
+    res.status(err.status).send(err.message);
+  }
+});
+
+app.post("/api/export", (req, res) => {
+  try {
+    sendM3U8(res, req.body?.name, exportTracks(req.body));
+  } catch (err) {
+    if (!(err instanceof PlaylistError)) throw err;
+    res.status(err.status).send(err.message);
+  }
+});
+
+// API: the user's player session to resume from (null before the first save)
+app.get("/api/session", (req, res) => {
+  res.json(getSession(req.user.id));
+});
+
+app.put("/api/session", (req, res) => {
+  if (!isSession(req.body)) return res.status(400).send("Invalid session");
+  saveSession(req.user.id, req.body);
+  res.status(204).end();
+});
+
+// API: full rescan; changes are pushed over /api/events
+app.post("/api/rescan", (req, res) => {
+  indexLibrary(MUSIC_DIR).catch((err) => console.error("Rescan failed", err));
+  res.status(202).json({ status: "scanning" });
+});
+
+// API: progress of the running (or last) scan
+app.get("/api/scan", (req, res) => {
+  res.json(getScanStatus());
+});
+
+// API: Server-Sent Events (library changes, scan progress)
+app.get("/api/events", eventStream);
+
 // API: stream track
 app.get("/api/stream/:id", (req, res) => {
-  const track = tracks.find((t) => t.id === req.params.id);
+  const track = getTrack(req.params.id);
   if (!track) return res.status(404).send("Not found");
 
   res.sendFile(track.path);
 });
 
-app.listen(PORT, () => {
+// API: cover art, optionally downscaled with ?size=
+app.get("/api/artwork/:id", async (req, res) => {
+  const track = getTrack(req.params.id);
+  if (!track) return res.status(404).send("Not found");
+
+  try {
+    const art = await getArtwork(track, thumbSize(req.query.size));
+    if (!art) return res.status(404).send("No artwork");
+
+    res.set("ETag", art.etag);
+    // Only the browser may keep it: the request needed a signed-in user
+    res.set("Cache-Control", "private, max-age=604800");
+    if (req.fresh) return res.status(304).end();
+    res.type(art.type).send(art.data);
+  } catch (err) {
+    console.error(`Artwork failed for ${track.relPath}`, err);
+    res.status(500).send("Artwork failed");
+  }
+});
+
+// API: lyrics, from a sidecar .lrc or the file's tags; synced when timed
+app.get("/api/lyrics/:id", async (req, res) => {
+  const track = getTrack(req.params.id);
+  if (!track) return res.status(404).send("Not found");
+
+  try {
+    const lyrics = await getLyrics(track);
+    if (!lyrics) return res.status(404).send("No lyrics");
+    res.json(lyrics);
+  } catch (err) {
+    console.error(`Lyrics failed for ${track.relPath}`, err);
+    res.status(500).send("Lyrics failed");
+  }
+});
+
+const server = app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
 });
+
+// Remote control between open players, over WebSocket
+attachDeviceHub(server);
@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import sharp from "sharp";
+import { parseFile, selectCover } from "music-metadata";
+import { DATA_DIR } from "./store.mjs";
+
+const CACHE_DIR = path.join(DATA_DIR, "artwork");
+// Requested sizes are rounded up to one of these so the cache stays bounded
+const SIZES = [64, 128, 256, 512, 1024];
+const FOLDER_IMAGE = /^(cover|folder|front)\.(jpe?g|png|webp|gif)$/i;
+const FOLDER_PRIORITY = ["cover", "folder", "front"];
+
+const MIME = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+};
+
+export function isFolderImage(name) {
+  return FOLDER_IMAGE.test(name);
+}
+
+// Pick the best cover/folder/front image among a directory's file names
+export function findFolderImage(names) {
+  const candidates = names.filter((n) => FOLDER_IMAGE.test(n));
+  const rank = (n) => FOLDER_PRIORITY.indexOf(n.split(".")[0].toLowerCase());
+  return candidates.sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+export function thumbSize(requested) {
+  const size = parseInt(requested, 10);
+  if (!size || size <= 0) return null;
+  return SIZES.find((s) => s >= size) || SIZES[SIZES.length - 1];
+}
+
+// Embedded picture first, then the folder image found while indexing
+async function loadSource(track) {
+  if (track.hasPicture) {
+    const { common } = await parseFile(track.path);
+    const cover = selectCover(common.picture);
+    if (cover) {
+      return { data: Buffer.from(cover.data), type: cover.format };
+    }
+  }
+  if (track.folderImage) {
+    const file = path.join(path.dirname(track.path), track.folderImage);
+    const data = await fs.promises.readFile(file);
+    return { data, type: MIME[path.extname(file).toLowerCase()] || "image/jpeg" };
+  }
+  return null;
+}
+
+// Returns { data, type, etag } for a track's cover, downscaled to `size`
+// when given. Thumbnails are cached on disk keyed by track id and mtime.
+export async function getArtwork(track, size) {
+  const etag = `"${crypto
+    .createHash("sha1")
+    .update(`${track.id}:${track.mtimeMs}:${track.folderImage}:${size || 0}`)
+    .digest("hex")
+    .slice(0, 20)}"`;
+
+  const cached = size && path.join(CACHE_DIR, `${etag.slice(1, -1)}.jpg`);
+  if (cached) {
+    try {
+      return { data: await fs.promises.readFile(cached), type: "image/jpeg", etag };
+    } catch {
+      // not cached yet
+    }
+  }
+
+  const source = await loadSource(track);
+  if (!source) return null;
+  if (!size) return { ...source, etag };
+
+  const data = await sharp(source.data)
+    .resize(size, size, { fit: "cover", withoutEnlargement: true })
+    .jpeg({ quality: 82 })
+    .toBuffer();
+  await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+  await fs.promises.writeFile(cached, data);
+  return { data, type: "image/jpeg", etag };
+}
@@ -0,0 +1,127 @@
+import crypto from "crypto";
+import { SECRET } from "./secret.mjs";
+import { UserError, authenticateUser, getUser, publicUser } from "./users.mjs";
+
+// Signing in gets two things:
+//  - a bearer token (an HS256 JWT) for the API, sent as
+//    "Authorization: Bearer …", or ?token= where a header can't be set
+//    (EventSource, WebSocket);
+//  - a media grant { u, exp, sig } for /api/stream and /api/artwork links,
+//    which go into <audio src> and <img src> as query parameters. One grant
+//    covers every track, so the client can build links without asking;
+//    in exchange it only lasts an hour, so a leaked link soon goes dead.
+// Both are signed with the server secret and carry the user's password
+// version, so changing the password revokes them.
+
+const TOKEN_TTL = 30 * 24 * 3600; // seconds
+const MEDIA_TTL = 3600;
+// Failed sign-ins per address before it has to wait LOCKOUT ms
+const MAX_FAILURES = 5;
+const LOCKOUT = 60 * 1000;
+
+const encode = (data) => Buffer.from(JSON.stringify(data)).toString("base64url");
+const hmac = (data) => crypto.createHmac("sha256", SECRET).update(data).digest("base64url");
+const now = () => Math.floor(Date.now() / 1000);
+
+const sameSignature = (a, b) =>
+  typeof a === "string" && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+function issueToken(user) {
+  const head = encode({ alg: "HS256", typ: "JWT" });
+  const body = encode({ sub: user.id, ver: user.version, iat: now(), exp: now() + TOKEN_TTL });
+  return `${head}.${body}.${hmac(`${head}.${body}`)}`;
+}
+
+export function userForToken(token) {
+  const [head, body, sig] = String(token || "").split(".");
+  if (!body || !sameSignature(sig, hmac(`${head}.${body}`))) return null;
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, "base64url"));
+  } catch {
+    return null;
+  }
+  if (!(claims.exp > now())) return null;
+  const user = getUser(claims.sub);
+  return user && user.version === claims.ver ? user : null;
+}
+
+const grantSignature = (user, exp) => hmac(`media.${user.id}.${user.version}.${exp}`);
+
+export function mediaGrant(user) {
+  const exp = now() + MEDIA_TTL;
+  return { u: user.id, exp, sig: grantSignature(user, exp) };
+}
+
+function userForGrant({ u, exp, sig }) {
+  const user = typeof u === "string" ? getUser(u) : null;
+  if (!user || !(Number(exp) > now())) return null;
+  return sameSignature(sig, grantSignature(user, Number(exp))) ? user : null;
+}
+
+// What signing in (or setting up, or changing the password) replies with
+export const sessionFor = (user) => ({
+  token: issueToken(user),
+  user: publicUser(user),
+  media: mediaGrant(user),
+});
+
+// Addresses are req.ip, so behind a reverse proxy TRUST_PROXY has to be
+// set (see server.mjs), or every client shares the proxy's lockout
+const failures = new Map(); // address → { count, until, last }
+
+// Addresses that are neither locked out nor recently failing are forgotten,
+// so the map only holds the last few minutes' worth
+setInterval(() => {
+  const now = Date.now();
+  for (const [address, entry] of failures) {
+    if (entry.until <= now && now - entry.last > LOCKOUT) failures.delete(address);
+  }
+}, LOCKOUT).unref();
+
+// Whether `address` is locked out after too many failed sign-ins
+export const lockedOut = (address) => failures.get(address)?.until > Date.now();
+
+// Records a sign-in attempt from `address`, for lockedOut()
+export function recordSignIn(address, ok) {
+  if (ok) {
+    failures.delete(address);
+    return;
+  }
+  const now = Date.now();
+  const entry = failures.get(address);
+  const count = (entry?.until ? 0 : entry?.count || 0) + 1;
+  failures.set(address, { count, until: count >= MAX_FAILURES ? now + LOCKOUT : 0, last: now });
+}
+
+export async function login(address, username, password) {
+  if (lockedOut(address)) {
+    throw new UserError(429, "Too many failed sign-ins, try again in a minute");
+  }
+  const user = await authenticateUser(username, password);
+  recordSignIn(address, Boolean(user));
+  if (!user) throw new UserError(401, "Wrong username or password");
+  return sessionFor(user);
+}
+
+const MEDIA_PATH = /^\/(stream|artwork)\//;
+
+// Express middleware for everything under /api that needs a user; sets
+// req.user
+export function authenticate(req, res, next) {
+  const bearer = /^Bearer (.+)$/.exec(req.get("Authorization") || "")?.[1];
+  const token = bearer || (req.path === "/events" ? req.query.token : null);
+  req.user =
+    (token && userForToken(token)) || (MEDIA_PATH.test(req.path) ? userForGrant(req.query) : null);
+  if (!req.user) return res.status(401).send("Sign in required");
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  if (!req.user.admin) return res.status(403).send("Admins only");
+  next();
+}
+
+// The user a WebSocket upgrade request's ?token= belongs to
+export const userForUpgrade = (req) =>
+  userForToken(new URL(req.url, "http://localhost").searchParams.get("token"));
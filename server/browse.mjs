@@ -0,0 +1,208 @@
+import path from "path";
+import crypto from "crypto";
+import { fold } from "./query.mjs";
+
+const UNKNOWN_ARTIST = "Unknown Artist";
+const UNKNOWN_ALBUM = "Unknown Album";
+
+const cache = new WeakMap();
+
+function hashId(kind, ...parts) {
+  return crypto
+    .createHash("sha1")
+    .update([kind, ...parts.map(fold)].join("\0"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+const tagged = (s) => (s && s !== UNKNOWN_ARTIST ? s : "");
+
+// Group by album artist (then artist) tags. Untagged files fall back to the
+// usual Artist/Album/track layout under MUSIC_DIR.
+function grouping(t) {
+  const m = t.meta || {};
+  const dirs = t.relPath.split(path.sep).slice(0, -1);
+  const artist =
+    tagged(m.albumArtist) || tagged(m.artist) || (dirs.length >= 2 ? dirs[0] : "") || UNKNOWN_ARTIST;
+  const album = m.album || dirs[dirs.length - 1] || UNKNOWN_ALBUM;
+  return { artist, album };
+}
+
+// Catalog ids of the artist and album a track is listed under
+export function groupIds(t) {
+  const { artist, album } = grouping(t);
+  return { artistId: hashId("artist", artist), albumId: hashId("album", artist, album) };
+}
+
+const byDiscAndTrack = (a, b) =>
+  (a.meta?.disc ?? 1) - (b.meta?.disc ?? 1) ||
+  (a.meta?.track ?? Infinity) - (b.meta?.track ?? Infinity) ||
+  (a.relPath < b.relPath ? -1 : 1);
+
+const byYearThenName = (a, b) =>
+  (a.year ?? Infinity) - (b.year ?? Infinity) || a.name.localeCompare(b.name);
+
+function build(tracks) {
+  const artists = new Map();
+  const albums = new Map();
+  const genres = new Map();
+
+  for (const t of tracks) {
+    const { artist, album } = grouping(t);
+    const { artistId, albumId } = groupIds(t);
+
+    if (!artists.has(artistId)) {
+      artists.set(artistId, { id: artistId, name: artist, albumIds: new Set(), trackCount: 0 });
+    }
+    const a = artists.get(artistId);
+    a.albumIds.add(albumId);
+    a.trackCount++;
+
+    if (!albums.has(albumId)) {
+      albums.set(albumId, {
+        id: albumId,
+        name: album,
+        artist,
+        artistId,
+        year: null,
+        genres: new Set(),
+        duration: 0,
+        coverTrackId: null,
+        tracks: [],
+      });
+    }
+    const al = albums.get(albumId);
+    al.tracks.push(t);
+    al.duration += t.meta?.duration || 0;
+    if (t.meta?.year && (!al.year || t.meta.year < al.year)) al.year = t.meta.year;
+    if (!al.coverTrackId && (t.hasPicture || t.folderImage)) al.coverTrackId = t.id;
+
+    for (const g of t.meta?.genre || []) {
+      const key = fold(g);
+      if (!genres.has(key)) genres.set(key, { name: g, trackCount: 0, albumIds: new Set() });
+      const genre = genres.get(key);
+      genre.trackCount++;
+      genre.albumIds.add(albumId);
+      al.genres.add(g);
+    }
+  }
+
+  for (const al of albums.values()) al.tracks.sort(byDiscAndTrack);
+  return { artists, albums, genres };
+}
+
+function catalog(tracks) {
+  let c = cache.get(tracks);
+  if (!c) cache.set(tracks, (c = build(tracks)));
+  return c;
+}
+
+function albumSummary(al) {
+  return {
+    id: al.id,
+    name: al.name,
+    artist: al.artist,
+    artistId: al.artistId,
+    year: al.year,
+    genres: [...al.genres],
+    trackCount: al.tracks.length,
+    duration: al.duration,
+    coverTrackId: al.coverTrackId,
+  };
+}
+
+function artistSummary(a) {
+  return { id: a.id, name: a.name, albumCount: a.albumIds.size, trackCount: a.trackCount };
+}
+
+export function listArtists(tracks) {
+  return [...catalog(tracks).artists.values()]
+    .map(artistSummary)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getArtist(tracks, id) {
+  const { artists, albums } = catalog(tracks);
+  const a = artists.get(id);
+  if (!a) return null;
+  return {
+    ...artistSummary(a),
+    albums: [...a.albumIds].map((albumId) => albumSummary(albums.get(albumId))).sort(byYearThenName),
+  };
+}
+
+// Every track by the artist, album by album, for playing the whole artist
+export function getArtistTracks(tracks, id) {
+  const { artists, albums } = catalog(tracks);
+  const a = artists.get(id);
+  if (!a) return null;
+  return [...a.albumIds]
+    .map((albumId) => albums.get(albumId))
+    .sort(byYearThenName)
+    .flatMap((al) => al.tracks);
+}
+
+// Optional filters: ?artist=<artist id>, ?genre=<name>
+export function listAlbums(tracks, { artist, genre } = {}) {
+  const { albums, genres } = catalog(tracks);
+  let list = [...albums.values()];
+  if (artist) list = list.filter((al) => al.artistId === artist);
+  if (genre) {
+    const ids = genres.get(fold(genre))?.albumIds || new Set();
+    list = list.filter((al) => ids.has(al.id));
+  }
+  return list
+    .map(albumSummary)
+    .sort((a, b) => a.artist.localeCompare(b.artist) || byYearThenName(a, b));
+}
+
+export function getAlbum(tracks, id) {
+  const al = catalog(tracks).albums.get(id);
+  return al ? { ...albumSummary(al), tracks: al.tracks } : null;
+}
+
+export function listGenres(tracks) {
+  return [...catalog(tracks).genres.values()]
+    .map((g) => ({ name: g.name, trackCount: g.trackCount, albumCount: g.albumIds.size }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+const naturally = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+// Normalise a client-supplied folder path relative to MUSIC_DIR. Returns null
+// for anything that tries to climb out of it.
+export function safeRelPath(p = "") {
+  const parts = String(p).replace(/\\/g, "/").split("/").filter((s) => s && s !== ".");
+  if (parts.includes("..")) return null;
+  return parts.join("/");
+}
+
+// Subfolders and tracks directly inside `relDir` (or every track below it,
+// in path order, with `recursive`). Built from the index, not the disk.
+export function browseFolder(tracks, relDir, { recursive = false } = {}) {
+  const prefix = relDir ? `${relDir}/` : "";
+  const dirs = new Map();
+  const files = [];
+
+  for (const t of tracks) {
+    const rel = t.relPath.split(path.sep).join("/");
+    if (!rel.startsWith(prefix)) continue;
+    const rest = rel.slice(prefix.length);
+    const slash = rest.indexOf("/");
+    if (slash === -1 || recursive) files.push({ t, rel });
+    if (slash !== -1) {
+      const name = rest.slice(0, slash);
+      dirs.set(name, (dirs.get(name) || 0) + 1);
+    }
+  }
+  if (relDir && !files.length && !dirs.size) return null;
+
+  return {
+    path: relDir,
+    parent: relDir ? relDir.split("/").slice(0, -1).join("/") : null,
+    dirs: [...dirs]
+      .map(([name, trackCount]) => ({ name, path: prefix + name, trackCount }))
+      .sort((a, b) => naturally.compare(a.name, b.name)),
+    tracks: files.sort((a, b) => naturally.compare(a.rel, b.rel)).map(({ t }) => t),
+  };
+}
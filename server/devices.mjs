@@ -0,0 +1,145 @@
+import { WebSocketServer } from "ws";
+import { userForUpgrade } from "./auth.mjs";
+import { handleRoomMessage, leaveRoom } from "./rooms.mjs";
+
+// Remote control hub. Every open player connects to /api/devices and
+// registers as a device; the hub keeps the last state each one reported,
+// tells everyone who's around, and relays commands from one device to
+// another. Nothing is stored: a device is gone when its socket closes.
+// Devices only see and control their own user's devices; rooms are open to
+// anyone signed in who has the code. Connecting takes ?token= (see auth.mjs).
+//
+// Client → hub: { type: "hello", deviceId, name, kind }
+//               { type: "state", state }
+//               { type: "command", target, command, value }
+//               { type: "time", t0 }
+// Hub → client: { type: "devices", devices: [{ id, name, kind, state }] }
+//               { type: "command", from, command, value }
+//               { type: "time", t0, server } (for clock-offset estimates)
+// plus the room:* messages handled in rooms.mjs
+
+const DEVICE_COMMANDS = new Set([
+  "play",
+  "pause",
+  "toggle",
+  "seek",
+  "next",
+  "previous",
+  "volume",
+  // Ask a device to hand its queue over to `value` (a device id); the
+  // handover itself arrives at the target as "resume"
+  "transfer",
+  "resume",
+]);
+
+const HEARTBEAT = 30000;
+// A device that drops out stays in its room this long, so a phone waking
+// up or a page reload can rejoin where it was
+const ROOM_GRACE = 15000;
+
+const devices = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+function announce(userId) {
+  const own = [...devices.values()].filter((d) => d.userId === userId);
+  const list = own.map(({ id, name, kind, state }) => ({ id, name, kind, state }));
+  for (const device of own) send(device.socket, { type: "devices", devices: list });
+}
+
+// What rooms.mjs needs to reach devices
+const hub = {
+  send: (id, message) => {
+    const device = devices.get(id);
+    if (device) send(device.socket, message);
+  },
+  name: (id) => devices.get(id)?.name || "Unknown device",
+};
+
+const cleanName = (name) => String(name || "").trim().slice(0, 60) || "Unnamed device";
+
+function onMessage(socket, self, msg) {
+  if (msg.type === "time") return send(socket, { type: "time", t0: msg.t0, server: Date.now() });
+
+  if (msg.type === "hello") {
+    if (typeof msg.deviceId !== "string" || !msg.deviceId) return;
+    // The same tab reconnecting replaces its old socket
+    const previous = devices.get(msg.deviceId);
+    if (previous && previous.userId !== self.userId) return;
+    if (previous && previous.socket !== socket) previous.socket.close(4000, "Replaced");
+    if (self.id && self.id !== msg.deviceId) {
+      leaveRoom(self.id, hub);
+      devices.delete(self.id);
+    }
+    self.id = msg.deviceId;
+    devices.set(self.id, {
+      id: self.id,
+      userId: self.userId,
+      name: cleanName(msg.name),
+      kind: msg.kind === "mobile" ? "mobile" : "desktop",
+      state: previous?.state || null,
+      socket,
+    });
+    return announce(self.userId);
+  }
+
+  const device = self.id && devices.get(self.id);
+  if (!device || device.socket !== socket) return;
+
+  if (msg.type === "state" && msg.state && typeof msg.state === "object") {
+    device.state = msg.state;
+    announce(self.userId);
+  } else if (msg.type === "command" && DEVICE_COMMANDS.has(msg.command)) {
+    const target = devices.get(msg.target);
+    if (!target || target.userId !== self.userId) return;
+    send(target.socket, { type: "command", from: self.id, command: msg.command, value: msg.value });
+  } else if (typeof msg.type === "string" && msg.type.startsWith("room:")) {
+    handleRoomMessage(self.id, msg, hub);
+  }
+}
+
+// Serves the hub on `server` (the http.Server app.listen returned)
+export function attachDeviceHub(server) {
+  const wss = new WebSocketServer({ server, path: "/api/devices", maxPayload: 1024 * 1024 });
+
+  wss.on("connection", (socket, req) => {
+    const user = userForUpgrade(req);
+    if (!user) return socket.close(4401, "Sign in required");
+    const self = { id: null, userId: user.id };
+    socket.alive = true;
+    socket.on("pong", () => (socket.alive = true));
+    socket.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      if (msg && typeof msg === "object") onMessage(socket, self, msg);
+    });
+    socket.on("close", () => {
+      const id = self.id;
+      if (id && devices.get(id)?.socket === socket) {
+        devices.delete(id);
+        announce(self.userId);
+        setTimeout(() => !devices.has(id) && leaveRoom(id, hub), ROOM_GRACE);
+      }
+    });
+  });
+
+  // Drop sockets that stopped answering (a phone that went to sleep)
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.alive) {
+        socket.terminate();
+        continue;
+      }
+      socket.alive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT);
+  wss.on("close", () => clearInterval(heartbeat));
+  return wss;
+}
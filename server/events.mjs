@@ -0,0 +1,31 @@
+import { EventEmitter } from "events";
+
+// Server-wide bus for things connected clients should hear about
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+export function broadcast(type, data) {
+  bus.emit("event", { type, data });
+}
+
+// Express handler for GET /api/events (Server-Sent Events)
+export function eventStream(req, res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = ({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // Comment lines keep proxies from closing an idle stream
+  const ping = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  bus.on("event", send);
+  req.on("close", () => {
+    clearInterval(ping);
+    bus.off("event", send);
+  });
+}
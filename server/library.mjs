@@ -0,0 +1,286 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { findFolderImage } from "./artwork.mjs";
+import { broadcast } from "./events.mjs";
+import { parsePlaylist } from "./m3u.mjs";
+import { readMetadata } from "./metadata.mjs";
+import {
+  findLibraryFiles,
+  finishScanStatus,
+  isAudioFile,
+  mapLimit,
+  reportScanError,
+  sniffAudio,
+  startScanStatus,
+  updateScanStatus,
+} from "./scanner.mjs";
+import { readJson, writeJson } from "./store.mjs";
+
+export const MUSIC_DIR = process.env.MUSIC_DIR || "/music";
+
+const INDEX_FILE = "library.json";
+// Bump when the shape of stored track records changes to force a re-read
+const INDEX_VERSION = 4;
+// Tag parsing is mostly I/O; a few files in parallel keeps NAS mounts busy
+const METADATA_CONCURRENCY = Math.max(2, Math.min(8, os.cpus().length * 2));
+
+let tracks = [];
+let byId = new Map();
+// .m3u/.m3u8/.pls files found in the library, with their raw entries
+let playlistFiles = [];
+
+function setTracks(list) {
+  tracks = list;
+  byId = new Map(list.map((t) => [t.id, t]));
+}
+
+export function getTracks() {
+  return tracks;
+}
+
+export function getTrack(id) {
+  return byId.get(id);
+}
+
+export function getPlaylistFiles() {
+  return playlistFiles;
+}
+
+// Ids are derived from the path relative to MUSIC_DIR (always with forward
+// slashes) so they survive restarts, re-indexing and moving the mount point.
+export function trackId(relPath) {
+  return crypto
+    .createHash("sha1")
+    .update(relPath.split(path.sep).join("/"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// Serve the index saved by the previous run right away; indexLibrary() then
+// reconciles it with what is actually on disk.
+export function loadIndex() {
+  const saved = readJson(INDEX_FILE, null);
+  if (saved?.version === INDEX_VERSION && Array.isArray(saved.tracks)) {
+    setTracks(saved.tracks);
+    playlistFiles = saved.playlistFiles || [];
+    console.log(`Loaded ${tracks.length} tracks from saved index`);
+  }
+}
+
+function saveIndex() {
+  try {
+    writeJson(INDEX_FILE, { version: INDEX_VERSION, tracks, playlistFiles });
+  } catch (err) {
+    console.error("Saving library index failed", err);
+  }
+}
+
+// Watcher events arrive in bursts (an album copied in); write once they settle
+let saveTimer = null;
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveIndex, 2000);
+}
+
+// Tell connected clients what changed; `removed` holds ids only
+function publish({ added = [], updated = [], removed = [] }) {
+  if (!added.length && !updated.length && !removed.length) return;
+  broadcast("library", { added, updated, removed });
+}
+
+async function readPlaylistFile(baseDir, fullPath) {
+  const relPath = path.relative(baseDir, fullPath);
+  const text = await fs.promises.readFile(fullPath, "utf8");
+  return {
+    id: `file-${trackId(relPath)}`,
+    name: path.basename(fullPath).replace(/\.[^.]+$/, ""),
+    relPath,
+    entries: parsePlaylist(text, fullPath),
+  };
+}
+
+async function withMetadata(track) {
+  try {
+    return { ...track, ...(await readMetadata(track.path)) };
+  } catch (err) {
+    console.warn(`Reading tags failed for ${track.relPath}:`, err.message);
+    return {
+      ...track,
+      meta: { title: track.name, artist: "Unknown Artist", album: "" },
+      quality: "Unknown",
+    };
+  }
+}
+
+function newRecord(baseDir, fullPath, stat, folderImage) {
+  const relPath = path.relative(baseDir, fullPath);
+  return {
+    id: trackId(relPath),
+    name: path.basename(fullPath),
+    path: fullPath,
+    relPath,
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    folderImage,
+  };
+}
+
+let running = null;
+
+// Full scan of baseDir, diffed against the current index. Concurrent calls
+// (startup plus a POST /api/rescan) share the scan already in flight.
+export function indexLibrary(baseDir) {
+  if (!running) {
+    running = scan(baseDir).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+// Settles once the scan in flight, if any, is done. It replaces the whole
+// track list with what it found, so watcher updates wait for it rather than
+// being overwritten; applied after it, they skip what it already picked up.
+export const scanSettled = () => (running || Promise.resolve()).catch(() => {});
+
+async function scan(baseDir) {
+  startScanStatus();
+  try {
+    await diffWithDisk(baseDir);
+  } finally {
+    finishScanStatus();
+  }
+}
+
+async function diffWithDisk(baseDir) {
+  const previous = new Map(tracks.map((t) => [t.relPath, t]));
+  const next = [];
+  const stale = [];
+  const moved = [];
+
+  const found = await findLibraryFiles(baseDir);
+  for (const { fullPath, stat, folderImage } of found.audio) {
+    const relPath = path.relative(baseDir, fullPath);
+    const old = previous.get(relPath);
+    previous.delete(relPath);
+    if (old && old.size === stat.size && old.mtimeMs === stat.mtimeMs) {
+      if (old.folderImage !== folderImage) moved.push(next.length);
+      next.push({ ...old, path: fullPath, folderImage });
+      continue;
+    }
+    stale.push({ i: next.length, isNew: !old });
+    next.push(newRecord(baseDir, fullPath, stat, folderImage));
+  }
+
+  const added = [];
+  const updated = moved.map((i) => next[i]);
+  updateScanStatus({ phase: "reading tags", total: stale.length, processed: 0 }, true);
+  await mapLimit(stale, METADATA_CONCURRENCY, async ({ i, isNew }) => {
+    next[i] = await withMetadata(next[i]);
+    (isNew ? added : updated).push(next[i]);
+    updateScanStatus({ processed: added.length + updated.length - moved.length });
+  });
+  const removed = [...previous.values()].map((t) => t.id);
+
+  const lists = await mapLimit(found.playlists, METADATA_CONCURRENCY, (file) =>
+    readPlaylistFile(baseDir, file).catch((err) => reportScanError(file, err))
+  );
+
+  setTracks(next);
+  playlistFiles = lists.filter(Boolean);
+  saveIndex();
+  publish({ added, updated, removed });
+  broadcast("playlists", {});
+  console.log(
+    `Indexed ${tracks.length} tracks (${added.length} added, ${updated.length} changed, ${removed.length} removed)`
+  );
+}
+
+// Incremental updates from the watcher
+
+export async function updateFile(baseDir, fullPath) {
+  let stat;
+  try {
+    stat = await fs.promises.stat(fullPath);
+  } catch {
+    return removePath(baseDir, fullPath);
+  }
+  // e.g. a link to a directory, which the watcher reports as a file
+  if (!stat.isFile()) return;
+  const id = trackId(path.relative(baseDir, fullPath));
+  const old = byId.get(id);
+  if (old && old.size === stat.size && old.mtimeMs === stat.mtimeMs) return;
+  if (!(await sniffAudio(fullPath))) {
+    // Files without an extension are only sniffed in case; quietly not audio
+    if (isAudioFile(fullPath)) console.warn(`Skipping ${fullPath}: not a recognised audio file`);
+    return;
+  }
+
+  const dir = path.dirname(fullPath);
+  const folderImage = findFolderImage(await fs.promises.readdir(dir));
+  const track = await withMetadata(newRecord(baseDir, fullPath, stat, folderImage));
+
+  setTracks(
+    old ? tracks.map((t) => (t.id === id ? track : t)) : [...tracks, track]
+  );
+  scheduleSave();
+  publish(old ? { updated: [track] } : { added: [track] });
+}
+
+export async function updatePlaylistFile(baseDir, fullPath) {
+  let list;
+  try {
+    list = await readPlaylistFile(baseDir, fullPath);
+  } catch {
+    return removePath(baseDir, fullPath);
+  }
+  playlistFiles = [...playlistFiles.filter((p) => p.id !== list.id), list];
+  scheduleSave();
+  broadcast("playlists", {});
+}
+
+// Drop a deleted file, or every track (and playlist file) under a deleted
+// directory
+export function removePath(baseDir, fullPath) {
+  const relPath = path.relative(baseDir, fullPath);
+  const prefix = relPath + path.sep;
+  const inPath = (t) => t.relPath === relPath || t.relPath.startsWith(prefix);
+
+  if (playlistFiles.some(inPath)) {
+    playlistFiles = playlistFiles.filter((p) => !inPath(p));
+    scheduleSave();
+    broadcast("playlists", {});
+  }
+  const removed = tracks.filter(inPath);
+  if (!removed.length) return;
+
+  const ids = new Set(removed.map((t) => t.id));
+  setTracks(tracks.filter((t) => !ids.has(t.id)));
+  scheduleSave();
+  publish({ removed: [...ids] });
+}
+
+// A cover/folder image was added or removed in `dir`
+export async function refreshFolder(dir) {
+  let names = [];
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch {
+    // directory is gone; removePath() handles its tracks
+  }
+  const folderImage = findFolderImage(names);
+  const updated = [];
+  setTracks(
+    tracks.map((t) => {
+      if (path.dirname(t.path) !== dir || t.folderImage === folderImage) return t;
+      const track = { ...t, folderImage };
+      updated.push(track);
+      return track;
+    })
+  );
+  if (!updated.length) return;
+  scheduleSave();
+  publish({ updated });
+}
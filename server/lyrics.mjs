@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import { parseFile } from "music-metadata";
+
+const TIMESTAMP = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+// Vorbis LYRICS/UNSYNCEDLYRICS, MP4 ©lyr and APE Lyrics come through as
+// plain strings in the native tags
+const TEXT_TAGS = /^(lyrics|unsyncedlyrics|©lyr)$/i;
+
+// LRC text → { synced: true, lines: [{ time, text }] } sorted by time, or
+// { synced: false, text } when it has no timestamps. Handles several
+// timestamps on one line, [offset:±ms] and strips enhanced-LRC word timings.
+export function parseLrc(raw) {
+  let offset = 0;
+  const lines = [];
+  const plain = [];
+
+  for (const line of raw.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const tag = /^\[([a-z]+):(.*)\]$/i.exec(line.trim());
+    if (tag) {
+      if (tag[1].toLowerCase() === "offset") offset = parseInt(tag[2], 10) / 1000 || 0;
+      continue;
+    }
+    const times = [...line.matchAll(TIMESTAMP)].map(
+      (m) => parseInt(m[1], 10) * 60 + parseFloat(m[2].replace(":", "."))
+    );
+    const text = line
+      .replace(TIMESTAMP, "")
+      .replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, "")
+      .trim();
+    if (times.length) for (const time of times) lines.push({ time, text });
+    else plain.push(line);
+  }
+
+  if (!lines.length) return { synced: false, text: plain.join("\n").trim() };
+  // A positive offset means the lyrics come sooner
+  return {
+    synced: true,
+    lines: lines
+      .map((l) => ({ time: Math.max(0, l.time - offset), text: l.text }))
+      .sort((a, b) => a.time - b.time),
+  };
+}
+
+// "song.lrc" next to "song.flac", whatever the case of the extension
+async function readSidecar(file) {
+  const dir = path.dirname(file);
+  const want = `${path.basename(file, path.extname(file))}.lrc`.toLowerCase();
+  try {
+    const name = (await fs.promises.readdir(dir)).find((n) => n.toLowerCase() === want);
+    return name ? await fs.promises.readFile(path.join(dir, name), "utf8") : null;
+  } catch {
+    return null;
+  }
+}
+
+async function readEmbedded(file) {
+  const { common, native } = await parseFile(file, { skipCovers: true });
+  for (const tag of common.lyrics || []) {
+    // SYLT with millisecond timestamps
+    const timed = tag.timeStampFormat === 2 && tag.syncText?.filter((l) => l.timestamp != null);
+    if (timed?.length) {
+      return {
+        synced: true,
+        lines: timed.map((l) => ({ time: l.timestamp / 1000, text: l.text.trim() })),
+      };
+    }
+    // USLT, which quite often holds LRC text anyway
+    if (tag.text?.trim()) return parseLrc(tag.text);
+  }
+  for (const tags of Object.values(native)) {
+    const tag = tags.find((t) => TEXT_TAGS.test(t.id) && typeof t.value === "string");
+    if (tag?.value.trim()) return parseLrc(tag.value);
+  }
+  return null;
+}
+
+// A sidecar .lrc wins over embedded tags: it's what people add to fix or
+// time the lyrics a file came with. Returns null when there are none.
+export async function getLyrics(track) {
+  const sidecar = await readSidecar(track.path);
+  if (sidecar?.trim()) return { source: "lrc", ...parseLrc(sidecar) };
+  const embedded = await readEmbedded(track.path);
+  return embedded ? { source: "tag", ...embedded } : null;
+}
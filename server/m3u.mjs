@@ -0,0 +1,125 @@
+import path from "path";
+
+const PLAYLIST_FILE = /\.(m3u8?|pls)$/i;
+
+export function isPlaylistFile(name) {
+  return PLAYLIST_FILE.test(name);
+}
+
+// Entries of an M3U/M3U8 file: [{ location, title, duration }]
+function parseM3U(text) {
+  const entries = [];
+  let info = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith("#EXTINF:")) {
+      const m = /^#EXTINF:(-?[\d.]+)[^,]*,(.*)$/.exec(line);
+      info = m ? { duration: parseFloat(m[1]), title: m[2].trim() } : null;
+    } else if (!line.startsWith("#")) {
+      entries.push({ location: line, title: info?.title || null, duration: info?.duration ?? null });
+      info = null;
+    }
+  }
+  return entries;
+}
+
+// Entries of a PLS file; FileN/TitleN/LengthN may come in any order
+function parsePLS(text) {
+  const byIndex = new Map();
+  for (const raw of text.split(/\r?\n/)) {
+    const m = /^(File|Title|Length)(\d+)=(.*)$/i.exec(raw.trim());
+    if (!m) continue;
+    const n = Number(m[2]);
+    if (!byIndex.has(n)) byIndex.set(n, {});
+    byIndex.get(n)[m[1].toLowerCase()] = m[3].trim();
+  }
+  return [...byIndex.entries()]
+    .sort(([a], [b]) => a - b)
+    .filter(([, e]) => e.file)
+    .map(([, e]) => ({
+      location: e.file,
+      title: e.title || null,
+      duration: e.length ? parseFloat(e.length) : null,
+    }));
+}
+
+export function parsePlaylist(text, filename = "") {
+  const content = text.replace(/^\uFEFF/, "");
+  if (/\.pls$/i.test(filename) || /^\s*\[playlist\]/i.test(content)) return parsePLS(content);
+  return parseM3U(content);
+}
+
+// Turn a playlist entry into a forward-slash path: file:// URLs are decoded
+// and Windows separators normalised. Returns null for remote streams.
+function entryPath(location) {
+  let p = location;
+  if (/^file:/i.test(p)) {
+    try {
+      p = decodeURIComponent(new URL(p).pathname);
+    } catch {
+      return null;
+    }
+  } else if (/^[a-z][a-z0-9+.-]+:\/\//i.test(p)) {
+    return null;
+  }
+  p = p.replace(/\\/g, "/");
+  // "C:/Music/..." → "/Music/..."; the drive can't mean anything here
+  return p.replace(/^\/?[a-z]:(?=\/)/i, "");
+}
+
+function normalize(p) {
+  const parts = [];
+  for (const seg of p.split("/")) {
+    if (!seg || seg === ".") continue;
+    if (seg === "..") parts.pop();
+    else parts.push(seg);
+  }
+  return parts.join("/");
+}
+
+// Resolve entries against the index. `lookup(relPath)` finds a track by its
+// forward-slash path relative to MUSIC_DIR (case-insensitively). Relative
+// entries are taken from `playlistDir` (also relative to MUSIC_DIR);
+// absolute ones from another machine or mount are matched on their longest
+// suffix that exists in the library.
+export function resolveEntries(entries, { lookup, baseDir, playlistDir = "" }) {
+  const base = baseDir.replace(/\\/g, "/").replace(/\/$/, "");
+  const tracks = [];
+  const unresolved = [];
+
+  for (const entry of entries) {
+    const p = entryPath(entry.location);
+    let track = null;
+    if (p) {
+      const isAbsolute = p.startsWith("/");
+      if (isAbsolute && (p + "/").startsWith(base + "/")) {
+        track = lookup(normalize(p.slice(base.length)));
+      } else if (!isAbsolute) {
+        track = lookup(normalize(path.posix.join(playlistDir, p)));
+      }
+      const segments = normalize(p).split("/");
+      for (let i = 0; !track && i < segments.length; i++) {
+        track = lookup(segments.slice(i).join("/"));
+      }
+    }
+    if (track) tracks.push(track);
+    else unresolved.push(entry.location);
+  }
+  return { tracks, unresolved };
+}
+
+// M3U8 with #EXTINF lines; paths relative to MUSIC_DIR so the file works
+// when dropped at the root of the library (or any player that mounts it)
+export function toM3U8(name, tracks) {
+  const lines = ["#EXTM3U"];
+  if (name) lines.push(`#PLAYLIST:${name}`);
+  for (const t of tracks) {
+    const m = t.meta || {};
+    const duration = Math.round(m.duration || -1);
+    const title = m.artist ? `${m.artist} - ${m.title || t.name}` : m.title || t.name;
+    lines.push(`#EXTINF:${duration},${title}`);
+    lines.push(t.relPath.split(path.sep).join("/"));
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,83 @@
+import path from "path";
+import { parseFile } from "music-metadata";
+
+// Display label for the container/codec, e.g. "FLAC", "MP3", "AAC"
+export function formatLabel(format, file) {
+  const codec = format.codec || "";
+  if (/flac/i.test(codec)) return "FLAC";
+  if (/alac/i.test(codec)) return "ALAC";
+  if (/mpeg.*layer 3|mp3/i.test(codec)) return "MP3";
+  if (/aac|mp4a/i.test(codec)) return "AAC";
+  if (/opus/i.test(codec)) return "OPUS";
+  if (/vorbis/i.test(codec)) return "OGG";
+  if (/pcm/i.test(codec)) {
+    return /wav/i.test(format.container) ? "WAV" : format.container || "PCM";
+  }
+  return (format.container || path.extname(file).slice(1)).toUpperCase();
+}
+
+export function qualityLabel(format, file) {
+  const label = formatLabel(format, file);
+  const sr = format.sampleRate;
+  if (!sr) return label || "Unknown";
+
+  const srLabel = sr >= 1000 ? `${Math.round(sr / 1000)}kHz` : `${sr}Hz`;
+  if (!format.lossless && format.bitrate) {
+    return `${label} • ${Math.round(format.bitrate / 1000)}kbps/${srLabel}`;
+  }
+  const bits = format.bitsPerSample || 16;
+  if (bits >= 24 || sr > 48000) return `Hi-Res • ${bits}/${srLabel}`;
+  return `${label} • ${bits}/${srLabel}`;
+}
+
+// R128 gains (Opus) are Q7.8 dB relative to -23 LUFS; ReplayGain's
+// reference is 5 dB louder
+function r128Gain(native, id) {
+  for (const tags of Object.values(native)) {
+    const tag = tags.find((t) => t.id.toUpperCase() === id);
+    const q78 = tag ? parseInt(tag.value, 10) : NaN;
+    if (Number.isFinite(q78)) return q78 / 256 + 5;
+  }
+  return null;
+}
+
+// Gains in dB, peaks as linear amplitude; null when the file has neither
+function replayGain(common, native) {
+  const rg = {
+    trackGain: common.replaygain_track_gain?.dB ?? r128Gain(native, "R128_TRACK_GAIN"),
+    trackPeak: common.replaygain_track_peak?.ratio ?? null,
+    albumGain: common.replaygain_album_gain?.dB ?? r128Gain(native, "R128_ALBUM_GAIN"),
+    albumPeak: common.replaygain_album_peak?.ratio ?? null,
+  };
+  return rg.trackGain === null && rg.albumGain === null ? null : rg;
+}
+
+// Read tags and stream info for one file. Shaped like the `meta` object the
+// client builds for dropped files so both kinds of track render the same.
+export async function readMetadata(file) {
+  const { common, format, native } = await parseFile(file, { duration: true });
+  return {
+    meta: {
+      title: common.title || path.basename(file),
+      artist: common.artist || common.artists?.join(", ") || "Unknown Artist",
+      albumArtist: common.albumartist || "",
+      album: common.album || "",
+      track: common.track?.no ?? null,
+      trackTotal: common.track?.of ?? null,
+      disc: common.disk?.no ?? null,
+      discTotal: common.disk?.of ?? null,
+      year: common.year ?? null,
+      genre: common.genre || [],
+      duration: format.duration ?? null,
+      codec: format.codec || null,
+      container: format.container || null,
+      lossless: !!format.lossless,
+      bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+      sampleRate: format.sampleRate ?? null,
+      bitDepth: format.bitsPerSample ?? null,
+      replayGain: replayGain(common, native),
+    },
+    quality: qualityLabel(format, file),
+    hasPicture: !!common.picture?.length,
+  };
+}
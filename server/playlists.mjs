@@ -0,0 +1,235 @@
+import crypto from "crypto";
+import path from "path";
+import { broadcast } from "./events.mjs";
+import { MUSIC_DIR, getPlaylistFiles, getTrack, getTracks } from "./library.mjs";
+import { parsePlaylist, resolveEntries, toM3U8 } from "./m3u.mjs";
+import { readJson, writeJson } from "./store.mjs";
+
+const PLAYLISTS_FILE = "playlists.json";
+
+// Playlists reference tracks by id, which is stable across rescans. Each
+// belongs to the user who made it (`ownerId`); the library's own playlist
+// files are shared.
+let playlists = readJson(PLAYLISTS_FILE, []);
+
+function save() {
+  writeJson(PLAYLISTS_FILE, playlists);
+  broadcast("playlists", {});
+}
+
+export class PlaylistError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Case-insensitive relPath lookup over the current index, rebuilt only when
+// the index changes
+const lookups = new WeakMap();
+function lookupFor(tracks) {
+  let map = lookups.get(tracks);
+  if (!map) {
+    map = new Map(tracks.map((t) => [t.relPath.split(path.sep).join("/").toLowerCase(), t]));
+    lookups.set(tracks, map);
+  }
+  return (relPath) => map.get(relPath.toLowerCase()) || null;
+}
+
+function resolve(entries, playlistDir = "") {
+  return resolveEntries(entries, {
+    lookup: lookupFor(getTracks()),
+    baseDir: MUSIC_DIR,
+    playlistDir,
+  });
+}
+
+// .m3u/.pls files in the library show up as read-only playlists, resolved
+// against the index each time they're listed
+const resolvedFiles = new WeakMap();
+function fromFile(file) {
+  const cached = resolvedFiles.get(file);
+  if (cached?.tracks === getTracks()) return cached.playlist;
+
+  const dir = path.dirname(file.relPath).split(path.sep).join("/");
+  const { tracks, unresolved } = resolve(file.entries, dir === "." ? "" : dir);
+  const playlist = {
+    id: file.id,
+    name: file.name,
+    description: file.relPath,
+    file: file.relPath,
+    readOnly: true,
+    trackIds: tracks.map((t) => t.id),
+    unresolved,
+  };
+  resolvedFiles.set(file, { tracks: getTracks(), playlist });
+  return playlist;
+}
+
+function findAny(userId, id) {
+  const file = getPlaylistFiles().find((p) => p.id === id);
+  return file ? fromFile(file) : find(userId, id);
+}
+
+function find(userId, id) {
+  const playlist = playlists.find((p) => p.id === id && p.ownerId === userId);
+  if (!playlist) {
+    if (getPlaylistFiles().some((p) => p.id === id)) {
+      throw new PlaylistError(400, "Playlists from the music folder are read-only");
+    }
+    throw new PlaylistError(404, "Playlist not found");
+  }
+  return playlist;
+}
+
+function cleanName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed) throw new PlaylistError(400, "Playlist name is required");
+  return trimmed.slice(0, 200);
+}
+
+function cleanTrackIds(ids) {
+  if (!Array.isArray(ids) || !ids.every((id) => typeof id === "string")) {
+    throw new PlaylistError(400, "trackIds must be an array of track ids");
+  }
+  return ids;
+}
+
+function summary(p) {
+  const tracks = p.trackIds.map(getTrack).filter(Boolean);
+  return {
+    id: p.id,
+    name: p.name,
+    description: p.description,
+    ...(p.readOnly && { file: p.file, readOnly: true, unresolved: p.unresolved }),
+    trackCount: p.trackIds.length,
+    duration: tracks.reduce((sum, t) => sum + (t.meta?.duration || 0), 0),
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+  };
+}
+
+// Full playlist with its tracks resolved against the index. Entries whose
+// file has gone are kept (it may come back) but flagged `missing`.
+function detail(p) {
+  return {
+    ...summary(p),
+    items: p.trackIds.map((id, position) => {
+      const track = getTrack(id);
+      return track ? { position, track } : { position, missing: true, trackId: id };
+    }),
+  };
+}
+
+function touch(p) {
+  p.updatedAt = new Date().toISOString();
+  save();
+  return detail(p);
+}
+
+export function listPlaylists(userId) {
+  const own = playlists.filter((p) => p.ownerId === userId);
+  return [...own, ...getPlaylistFiles().map(fromFile)].map(summary);
+}
+
+export function getPlaylist(userId, id) {
+  return detail(findAny(userId, id));
+}
+
+export function createPlaylist(userId, { name, description = "", trackIds = [] } = {}) {
+  const now = new Date().toISOString();
+  const playlist = {
+    id: crypto.randomUUID(),
+    ownerId: userId,
+    name: cleanName(name),
+    description: String(description),
+    trackIds: cleanTrackIds(trackIds),
+    createdAt: now,
+    updatedAt: now,
+  };
+  playlists.push(playlist);
+  save();
+  return detail(playlist);
+}
+
+export function updatePlaylist(userId, id, { name, description, trackIds } = {}) {
+  const p = find(userId, id);
+  if (name !== undefined) p.name = cleanName(name);
+  if (description !== undefined) p.description = String(description);
+  if (trackIds !== undefined) p.trackIds = cleanTrackIds(trackIds);
+  return touch(p);
+}
+
+export function deletePlaylist(userId, id) {
+  find(userId, id);
+  playlists = playlists.filter((p) => p.id !== id);
+  save();
+}
+
+// Insert tracks at `position` (default: the end)
+export function addItems(userId, id, { trackIds, position } = {}) {
+  const p = find(userId, id);
+  const ids = cleanTrackIds(trackIds);
+  const at = Number.isInteger(position)
+    ? Math.max(0, Math.min(position, p.trackIds.length))
+    : p.trackIds.length;
+  p.trackIds.splice(at, 0, ...ids);
+  return touch(p);
+}
+
+export function removeItem(userId, id, position) {
+  const p = find(userId, id);
+  if (!Number.isInteger(position) || position < 0 || position >= p.trackIds.length) {
+    throw new PlaylistError(400, "No item at that position");
+  }
+  p.trackIds.splice(position, 1);
+  return touch(p);
+}
+
+export function moveItem(userId, id, { from, to } = {}) {
+  const p = find(userId, id);
+  const n = p.trackIds.length;
+  if (![from, to].every((i) => Number.isInteger(i) && i >= 0 && i < n)) {
+    throw new PlaylistError(400, "from and to must be item positions");
+  }
+  const [item] = p.trackIds.splice(from, 1);
+  p.trackIds.splice(to, 0, item);
+  return touch(p);
+}
+
+// Create a playlist from the text of a dropped .m3u/.m3u8/.pls file. Entries
+// are matched against the library; the ones that can't be are reported.
+export function importPlaylist(userId, { name, filename = "", content } = {}) {
+  if (typeof content !== "string" || !content.trim()) {
+    throw new PlaylistError(400, "Playlist file is empty");
+  }
+  const entries = parsePlaylist(content, filename);
+  const { tracks, unresolved } = resolve(entries);
+  const playlist = createPlaylist(userId, {
+    name: name || path.basename(filename).replace(/\.[^.]+$/, "") || "Imported playlist",
+    trackIds: tracks.map((t) => t.id),
+  });
+  return { playlist, unresolved };
+}
+
+export function exportPlaylist(userId, id) {
+  const p = findAny(userId, id);
+  return toM3U8(p.name, p.trackIds.map(getTrack).filter(Boolean));
+}
+
+// Any list of track ids (e.g. the client's play queue) as M3U8
+export function exportTracks({ name = "", trackIds } = {}) {
+  return toM3U8(name, cleanTrackIds(trackIds).map(getTrack).filter(Boolean));
+}
+
+// Playlists from before there were accounts go to the first one
+export function claimPlaylists(userId) {
+  if (!playlists.some((p) => !p.ownerId)) return;
+  for (const p of playlists) p.ownerId ||= userId;
+  save();
+}
+
+export function deletePlaylistsOf(userId) {
+  playlists = playlists.filter((p) => p.ownerId !== userId);
+  save();
+}
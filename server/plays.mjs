@@ -0,0 +1,24 @@
+import { readJson, writeJson } from "./store.mjs";
+
+const PLAYS_FILE = "plays.json";
+
+// What each user has played: { [userId]: { [trackId]: { count, lastPlayed } } },
+// lastPlayed in ms. Filled by Subsonic scrobbles.
+let plays = readJson(PLAYS_FILE, {});
+
+const save = () => writeJson(PLAYS_FILE, plays);
+
+export const playsOf = (userId) => plays[userId] || {};
+
+export function recordPlay(userId, trackId, at = Date.now()) {
+  const own = (plays[userId] ||= {});
+  const entry = (own[trackId] ||= { count: 0, lastPlayed: 0 });
+  entry.count++;
+  entry.lastPlayed = Math.max(entry.lastPlayed, at);
+  save();
+}
+
+export function deletePlaysOf(userId) {
+  delete plays[userId];
+  save();
+}
@@ -0,0 +1,125 @@
+import { formatLabel } from "./metadata.mjs";
+
+const MAX_LIMIT = 500;
+const collator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+
+// Lowercase and strip accents so "beyonce" finds "Beyoncé"
+export function fold(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// Track objects are replaced whenever they change, so these caches can hang
+// off the objects (and the tracks array) themselves.
+const searchText = new WeakMap();
+const sortedCache = new WeakMap();
+
+function haystack(t) {
+  let text = searchText.get(t);
+  if (text === undefined) {
+    const m = t.meta || {};
+    text = fold(
+      [m.title, m.artist, m.albumArtist, m.album, ...(m.genre || []), m.year, t.relPath].join("\n")
+    );
+    searchText.set(t, text);
+  }
+  return text;
+}
+
+export function trackFormat(t) {
+  return formatLabel(t.meta || {}, t.path);
+}
+
+const byText = (get) => (a, b) => collator.compare(get(a) || "", get(b) || "");
+const byNumber = (get) => (a, b) => (get(a) ?? Infinity) - (get(b) ?? Infinity);
+const albumArtist = (t) => t.meta?.albumArtist || t.meta?.artist;
+
+// Natural album order; every sort falls back to it and finally to the
+// path, so equal keys always come out in the same order.
+const ALBUM_ORDER = [
+  byText(albumArtist),
+  byText((t) => t.meta?.album),
+  byNumber((t) => t.meta?.disc),
+  byNumber((t) => t.meta?.track),
+  (a, b) => (a.relPath < b.relPath ? -1 : a.relPath > b.relPath ? 1 : 0),
+];
+
+const SORTS = {
+  path: [(a, b) => (a.relPath < b.relPath ? -1 : a.relPath > b.relPath ? 1 : 0)],
+  title: [byText((t) => t.meta?.title), ...ALBUM_ORDER],
+  artist: [byText((t) => t.meta?.artist), ...ALBUM_ORDER],
+  album: [byText((t) => t.meta?.album), ...ALBUM_ORDER],
+  albumArtist: ALBUM_ORDER,
+  year: [byNumber((t) => t.meta?.year), ...ALBUM_ORDER],
+  duration: [byNumber((t) => t.meta?.duration), ...ALBUM_ORDER],
+  added: [(a, b) => a.mtimeMs - b.mtimeMs, ...ALBUM_ORDER],
+};
+
+export const SORT_KEYS = Object.keys(SORTS);
+
+function sorted(tracks, key) {
+  let cache = sortedCache.get(tracks);
+  if (!cache) sortedCache.set(tracks, (cache = {}));
+  if (!cache[key]) {
+    const chain = SORTS[key];
+    cache[key] = [...tracks].sort((a, b) => {
+      for (const cmp of chain) {
+        const r = cmp(a, b);
+        if (r) return r;
+      }
+      return 0;
+    });
+  }
+  return cache[key];
+}
+
+// "1999", "1990-1999", or open-ended "1990-" / "-1999", as [from, to];
+// null if it's none of those
+function yearRange(spec) {
+  const m = /^\s*(\d{1,4})?\s*(-\s*(\d{1,4})?)?\s*$/.exec(String(spec));
+  if (!m || !(m[1] || m[3])) return null;
+  if (!m[2]) return [Number(m[1]), Number(m[1])];
+  const from = m[1] ? Number(m[1]) : -Infinity;
+  const to = m[3] ? Number(m[3]) : Infinity;
+  return from <= to ? [from, to] : [to, from];
+}
+
+// Filter, search, sort and page the library. `params` are the query-string
+// values of GET /api/library; unknown or empty ones are ignored.
+export function queryTracks(tracks, params = {}) {
+  const sort = SORTS[params.sort] ? params.sort : "path";
+  const desc = params.order === "desc";
+  const offset = Math.max(0, parseInt(params.offset, 10) || 0);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit, 10) || 100));
+
+  const words = fold(params.q).split(/\s+/).filter(Boolean);
+  const eq = (a, b) => fold(a) === fold(b);
+  const filters = [];
+  if (words.length) filters.push((t) => words.every((w) => haystack(t).includes(w)));
+  if (params.artist) {
+    filters.push((t) => eq(t.meta?.artist, params.artist) || eq(t.meta?.albumArtist, params.artist));
+  }
+  if (params.album) filters.push((t) => eq(t.meta?.album, params.album));
+  if (params.genre) filters.push((t) => (t.meta?.genre || []).some((g) => eq(g, params.genre)));
+  const years = params.year ? yearRange(params.year) : null;
+  if (years) {
+    const [from, to] = years;
+    filters.push((t) => t.meta?.year != null && t.meta.year >= from && t.meta.year <= to);
+  }
+  if (params.format) filters.push((t) => eq(trackFormat(t), params.format));
+
+  let list = sorted(tracks, sort);
+  if (filters.length) list = list.filter((t) => filters.every((f) => f(t)));
+  if (desc) list = [...list].reverse();
+
+  return {
+    total: list.length,
+    offset,
+    limit,
+    sort,
+    order: desc ? "desc" : "asc",
+    items: list.slice(offset, offset + limit),
+  };
+}
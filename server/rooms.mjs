@@ -0,0 +1,227 @@
+import crypto from "crypto";
+import { getTrack } from "./library.mjs";
+
+// Listening rooms: devices on the hub (see devices.mjs) sharing one queue
+// and one timeline. The server owns both; clients play whatever the
+// timeline says, correcting for drift against the server clock. The host
+// drives playback, anyone in the room can edit the queue.
+//
+// Client → hub: { type: "room:create", queue: { ids, position }, progress, playing }
+//               { type: "room:join", roomId }
+//               { type: "room:leave" }
+//               { type: "room:action", action, value }
+// Hub → client: { type: "room", room } (null once out of a room)
+//               { type: "room:error", message }
+
+const ID_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const ID_LENGTH = 6;
+// Previous within this many seconds goes back a track, later it restarts
+const RESTART_AFTER = 3;
+
+const HOST_ACTIONS = new Set([
+  "toggle",
+  "play",
+  "pause",
+  "seek",
+  "next",
+  "previous",
+  "jump",
+  "replace",
+  "ended",
+]);
+
+const rooms = new Map();
+const roomOf = new Map(); // device id → room
+
+function newRoomId() {
+  let id;
+  do {
+    id = Array.from(crypto.randomBytes(ID_LENGTH), (b) => ID_CHARS[b % ID_CHARS.length]).join("");
+  } while (rooms.has(id));
+  return id;
+}
+
+// Seconds into the current track at `now` (server ms)
+const positionAt = (timeline, now = Date.now()) =>
+  timeline.playing ? timeline.position + (now - timeline.at) / 1000 : timeline.position;
+
+const current = (room) => room.items[room.position] || null;
+const durationOf = (item) => (item && getTrack(item.id)?.meta?.duration) || null;
+
+function wrap(room, ids) {
+  return ids
+    .filter((id) => typeof id === "string" && getTrack(id))
+    .map((id) => ({ key: ++room.nextKey, id }));
+}
+
+function setTimeline(room, playing, position) {
+  room.timeline = { playing, position: Math.max(0, position), at: Date.now() };
+}
+
+function goTo(room, position, playing = room.timeline.playing) {
+  room.position = position;
+  setTimeline(room, playing && position >= 0, 0);
+}
+
+// The server moves the room on when the current track's time is up, so the
+// room keeps going whoever is connected. Tracks of unknown length wait for
+// the host to report "ended".
+function schedule(room) {
+  clearTimeout(room.timer);
+  room.timer = null;
+  const duration = durationOf(current(room));
+  if (!room.timeline.playing || !duration) return;
+  const remaining = duration - positionAt(room.timeline);
+  room.timer = setTimeout(() => {
+    advance(room);
+    publish(room);
+  }, Math.max(0, remaining * 1000));
+}
+
+function advance(room) {
+  if (room.position + 1 < room.items.length) goTo(room, room.position + 1, true);
+  else setTimeline(room, false, durationOf(current(room)) || 0);
+}
+
+function view(room, hub) {
+  return {
+    id: room.id,
+    hostId: room.hostId,
+    members: room.members.map((id) => ({ id, name: hub.name(id) })),
+    items: room.items
+      .map(({ key, id }) => ({ key, track: getTrack(id) }))
+      .filter((item) => item.track),
+    position: room.position,
+    timeline: room.timeline,
+  };
+}
+
+function publish(room) {
+  schedule(room);
+  const message = { type: "room", room: view(room, room.hub) };
+  for (const id of room.members) room.hub.send(id, message);
+}
+
+// Indices come from clients: whole numbers within the queue only
+const isIndex = (room, i) => Number.isInteger(i) && i >= 0 && i < room.items.length;
+
+function act(room, deviceId, action, value) {
+  const playing = room.timeline.playing;
+  switch (action) {
+    case "toggle":
+      return setTimeline(room, !playing, positionAt(room.timeline));
+    case "play":
+    case "pause":
+      return setTimeline(room, action === "play", positionAt(room.timeline));
+    case "seek":
+      return setTimeline(room, playing, Number(value) || 0);
+    case "next":
+      return room.position + 1 < room.items.length && goTo(room, room.position + 1);
+    case "previous":
+      if (positionAt(room.timeline) > RESTART_AFTER || room.position <= 0) {
+        return setTimeline(room, playing, 0);
+      }
+      return goTo(room, room.position - 1);
+    case "jump":
+      return isIndex(room, value) && goTo(room, value, true);
+    case "ended":
+      // Only for the track that's actually current
+      return value === current(room)?.key && advance(room);
+    case "replace": {
+      room.items = wrap(room, value?.ids || []);
+      const start = Math.min(Math.max(0, Number(value?.start) || 0), room.items.length - 1);
+      return goTo(room, start, true);
+    }
+    case "add": {
+      const items = wrap(room, value?.ids || []);
+      // Guests can't change what's playing, so their "play now" is "play next"
+      const at = value?.at === "end" ? room.items.length : room.position + 1;
+      room.items.splice(at, 0, ...items);
+      if (value?.at === "now" && deviceId === room.hostId && items.length) goTo(room, at, true);
+      else if (room.position < 0 && items.length) goTo(room, at, false);
+      return;
+    }
+    case "remove": {
+      const i = room.items.findIndex((item) => item.key === value);
+      if (i < 0 || i === room.position) return;
+      room.items.splice(i, 1);
+      if (i < room.position) room.position--;
+      return;
+    }
+    case "move": {
+      const { from, to } = value || {};
+      if (!isIndex(room, from) || !isIndex(room, to)) return;
+      const playingKey = current(room)?.key;
+      const [item] = room.items.splice(from, 1);
+      room.items.splice(to, 0, item);
+      room.position = room.items.findIndex((it) => it.key === playingKey);
+      return;
+    }
+    case "clear":
+      room.items = room.items.slice(0, room.position + 1);
+      return;
+  }
+}
+
+export function leaveRoom(deviceId, hub) {
+  const room = roomOf.get(deviceId);
+  if (!room) return;
+  roomOf.delete(deviceId);
+  room.members = room.members.filter((id) => id !== deviceId);
+  hub.send(deviceId, { type: "room", room: null });
+  if (!room.members.length) {
+    clearTimeout(room.timer);
+    rooms.delete(room.id);
+    return;
+  }
+  // The longest-standing guest takes over
+  if (room.hostId === deviceId) room.hostId = room.members[0];
+  publish(room);
+}
+
+// `hub` is { send(deviceId, message), name(deviceId) } from devices.mjs
+export function handleRoomMessage(deviceId, msg, hub) {
+  const fail = (message) => hub.send(deviceId, { type: "room:error", message });
+
+  if (msg.type === "room:create") {
+    leaveRoom(deviceId, hub);
+    const room = {
+      id: newRoomId(),
+      hostId: deviceId,
+      members: [deviceId],
+      nextKey: 0,
+      timer: null,
+      hub,
+    };
+    room.items = wrap(room, msg.queue?.ids || []);
+    room.position = room.items.length
+      ? Math.min(Math.max(0, Number(msg.queue.position) || 0), room.items.length - 1)
+      : -1;
+    setTimeline(room, Boolean(msg.playing) && room.position >= 0, Number(msg.progress) || 0);
+    rooms.set(room.id, room);
+    roomOf.set(deviceId, room);
+    return publish(room);
+  }
+
+  if (msg.type === "room:join") {
+    const room = rooms.get(String(msg.roomId || "").toUpperCase());
+    if (!room) return fail("That room doesn't exist (any more)");
+    if (roomOf.get(deviceId) === room) return publish(room);
+    leaveRoom(deviceId, hub);
+    room.members.push(deviceId);
+    roomOf.set(deviceId, room);
+    return publish(room);
+  }
+
+  if (msg.type === "room:leave") return leaveRoom(deviceId, hub);
+
+  if (msg.type === "room:action") {
+    const room = roomOf.get(deviceId);
+    if (!room) return fail("Not in a room");
+    if (HOST_ACTIONS.has(msg.action) && deviceId !== room.hostId) {
+      return fail("Only the host controls playback");
+    }
+    act(room, deviceId, msg.action, msg.value);
+    return publish(room);
+  }
+}
@@ -0,0 +1,170 @@
+import fs from "fs";
+import path from "path";
+import { findFolderImage } from "./artwork.mjs";
+import { broadcast } from "./events.mjs";
+import { isPlaylistFile } from "./m3u.mjs";
+
+const SCAN_CONCURRENCY = parseInt(process.env.SCAN_CONCURRENCY, 10) || 8;
+// How many per-file errors /api/scan keeps around to show
+const MAX_REPORTED_ERRORS = 200;
+
+const AUDIO_EXTENSIONS = new Set([
+  "mp3", "mp2", "flac", "wav", "aac", "ogg", "oga", "opus", "spx", "m4a",
+  "m4b", "mp4", "alac", "aif", "aiff", "aifc", "wma", "ape", "wv", "mpc",
+  "dsf", "dff", "tta",
+]);
+
+export function isAudioFile(name) {
+  return AUDIO_EXTENSIONS.has(path.extname(name).slice(1).toLowerCase());
+}
+
+// Worth sniffing: a known audio extension, or none at all. The scan and the
+// watcher both go by this, so they agree on what's in the library.
+export const mayBeAudio = (name) => isAudioFile(name) || !path.extname(name);
+
+// Magic numbers of the containers music-metadata can read. A file only
+// counts as audio when its header matches, whatever its extension says.
+function looksLikeAudio(buf) {
+  const ascii = (start, end) => buf.toString("latin1", start, end);
+  if (ascii(0, 3) === "ID3") return true;
+  if (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) return true; // MPEG / ADTS
+  if (["fLaC", "OggS", "MAC ", "wvpk", "MPCK", "DSD ", "FRM8", "TTA1"].includes(ascii(0, 4))) {
+    return true;
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return true;
+  if (ascii(0, 4) === "FORM" && /^AIF[FC]$/.test(ascii(8, 12))) return true;
+  if (ascii(4, 8) === "ftyp") return true; // MP4 / M4A / ALAC
+  if (buf.readUInt32LE(0) === 0x75b22630) return true; // ASF (WMA)
+  if (ascii(0, 3) === "MP+") return true; // Musepack SV7
+  return false;
+}
+
+export async function sniffAudio(file) {
+  const handle = await fs.promises.open(file, "r");
+  try {
+    const buf = Buffer.alloc(16);
+    const { bytesRead } = await handle.read(buf, 0, 16, 0);
+    return bytesRead >= 12 && looksLikeAudio(buf);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Run `fn` over `items` with at most `concurrency` calls in flight
+export async function mapLimit(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+let status = { state: "idle" };
+let lastBroadcast = 0;
+
+export function getScanStatus() {
+  return status;
+}
+
+// Progress is pushed as "scan" events, throttled except for phase changes
+export function updateScanStatus(patch, force = false) {
+  status = { ...status, ...patch };
+  const now = Date.now();
+  if (force || now - lastBroadcast > 500) {
+    lastBroadcast = now;
+    broadcast("scan", status);
+  }
+}
+
+export function reportScanError(file, err) {
+  console.warn(`Skipping ${file}: ${err.message}`);
+  const errors =
+    status.errors.length < MAX_REPORTED_ERRORS
+      ? [...status.errors, { path: file, error: err.code || err.message }]
+      : status.errors;
+  updateScanStatus({ errorCount: status.errorCount + 1, errors });
+}
+
+export function startScanStatus() {
+  updateScanStatus(
+    {
+      state: "scanning",
+      phase: "walking",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      dirs: 0,
+      found: 0,
+      processed: 0,
+      total: 0,
+      errorCount: 0,
+      errors: [],
+    },
+    true
+  );
+}
+
+export function finishScanStatus() {
+  updateScanStatus({ state: "idle", phase: null, finishedAt: new Date().toISOString() }, true);
+}
+
+// Walk baseDir without blocking the event loop. Follows symlinks but visits
+// every real directory once (so loops end), and skips whatever it cannot
+// read instead of giving up. Resolves to { audio, playlists }, where audio is
+// [{ fullPath, stat, folderImage }] and playlists the .m3u/.pls files' paths.
+export async function findLibraryFiles(baseDir) {
+  const seen = new Set();
+  const found = [];
+  const playlists = [];
+  let pending = [baseDir];
+
+  while (pending.length) {
+    const batch = pending;
+    pending = [];
+    await mapLimit(batch, SCAN_CONCURRENCY, async (dir) => {
+      let names;
+      try {
+        const stat = await fs.promises.stat(dir);
+        const key = `${stat.dev}:${stat.ino}`;
+        if (seen.has(key)) return; // symlink loop or a directory linked twice
+        seen.add(key);
+        names = await fs.promises.readdir(dir);
+      } catch (err) {
+        reportScanError(dir, err);
+        return;
+      }
+      updateScanStatus({ dirs: status.dirs + 1 });
+
+      const folderImage = findFolderImage(names);
+      await mapLimit(names, SCAN_CONCURRENCY, async (name) => {
+        if (name.startsWith(".")) return;
+        const fullPath = path.join(dir, name);
+        try {
+          const stat = await fs.promises.stat(fullPath);
+          if (stat.isDirectory()) {
+            pending.push(fullPath);
+          } else if (stat.isFile() && isPlaylistFile(name)) {
+            playlists.push(fullPath);
+          } else if (stat.isFile() && mayBeAudio(name)) {
+            if (!(await sniffAudio(fullPath))) {
+              if (isAudioFile(name)) throw new Error("not a recognised audio file");
+              return;
+            }
+            found.push({ fullPath, stat, folderImage });
+            updateScanStatus({ found: found.length });
+          }
+        } catch (err) {
+          reportScanError(fullPath, err);
+        }
+      });
+    });
+  }
+  return {
+    audio: found.sort((a, b) => (a.fullPath < b.fullPath ? -1 : 1)),
+    playlists: playlists.sort(),
+  };
+}
@@ -0,0 +1,37 @@
+import crypto from "crypto";
+import { readJson, writeJson } from "./store.mjs";
+
+// The server's signing and encryption secret: AUTH_SECRET, or one generated
+// on first start and kept in DATA_DIR, so tokens outlive restarts
+export const SECRET = process.env.AUTH_SECRET || loadSecret();
+
+function loadSecret() {
+  const stored = readJson("secret.json", null);
+  if (stored?.secret) return stored.secret;
+  const secret = crypto.randomBytes(32).toString("base64");
+  writeJson("secret.json", { secret });
+  return secret;
+}
+
+const KEY = crypto.createHash("sha256").update(`seal:${SECRET}`).digest();
+
+// AES-256-GCM, for the few things that have to be stored recoverably
+// (Subsonic passwords). Base64 of iv + tag + ciphertext.
+export function seal(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", KEY, iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64");
+}
+
+// null when it doesn't decrypt (e.g. the secret changed)
+export function unseal(sealed) {
+  try {
+    const raw = Buffer.from(sealed, "base64");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", KEY, raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,41 @@
+import { readJson, writeJson } from "./store.mjs";
+
+const SESSIONS_FILE = "sessions.json";
+// Where the single session lived before there were accounts
+const LEGACY_FILE = "session.json";
+
+// What each user's player was last doing (queue as track ids, position,
+// settings), so another browser or a reload can pick up from there. The
+// client owns the shape; the server only keeps the newest copy per user.
+let sessions = readJson(SESSIONS_FILE, {});
+
+const save = () => writeJson(SESSIONS_FILE, sessions);
+
+export function getSession(userId) {
+  return sessions[userId] || null;
+}
+
+export const isSession = (data) =>
+  !!data && typeof data === "object" && !Array.isArray(data) && Number.isFinite(data.savedAt);
+
+// A tab that was left open somewhere shouldn't roll back a newer session
+export function saveSession(userId, data) {
+  const session = sessions[userId];
+  if (session && data.savedAt < session.savedAt) return false;
+  sessions[userId] = data;
+  save();
+  return true;
+}
+
+// The pre-accounts session goes to the first account
+export function claimSession(userId) {
+  const legacy = readJson(LEGACY_FILE, null);
+  if (!legacy || sessions[userId]) return;
+  sessions[userId] = legacy;
+  save();
+}
+
+export function deleteSession(userId) {
+  delete sessions[userId];
+  save();
+}
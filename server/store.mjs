@@ -0,0 +1,26 @@
+import fs from "fs";
+import path from "path";
+
+export const DATA_DIR = process.env.DATA_DIR || "/data";
+
+// Read a JSON document from DATA_DIR, falling back when it is missing or
+// unreadable (e.g. first start, or a half-written file from a crash).
+export function readJson(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, name), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(`Could not read ${name}, starting fresh:`, err.message);
+    }
+    return fallback;
+  }
+}
+
+// Write via a temp file + rename so a crash never leaves a truncated store.
+export function writeJson(name, data) {
+  const file = path.join(DATA_DIR, name);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
@@ -0,0 +1,543 @@
+import crypto from "crypto";
+import express from "express";
+import path from "path";
+import { getArtwork, thumbSize } from "./artwork.mjs";
+import { lockedOut, recordSignIn } from "./auth.mjs";
+import {
+  browseFolder,
+  getAlbum,
+  getArtist,
+  groupIds,
+  listAlbums,
+  listArtists,
+  safeRelPath,
+} from "./browse.mjs";
+import { getTrack, getTracks } from "./library.mjs";
+import { PlaylistError, getPlaylist, listPlaylists } from "./playlists.mjs";
+import { playsOf, recordPlay } from "./plays.mjs";
+import { fold } from "./query.mjs";
+import { getUserByName, subsonicPasswordOf } from "./users.mjs";
+
+// Subsonic API (subsonic.org/pages/api.jsp, with the OpenSubsonic additions)
+// over the index, so Subsonic clients on phones can use the library. Every
+// method answers in XML, or JSON / JSONP with f=json / f=jsonp, and takes its
+// parameters from the query string or a form body.
+//
+// Clients sign in with the account's Subsonic password (set in the player),
+// as t = md5(password + s) with a random salt s, or plainly as p.
+//
+// Ids: tracks keep theirs; artists and albums from browse.mjs get "ar-" and
+// "al-" prefixes; folders are "dir-" plus their path in base64url.
+
+const API_VERSION = "1.16.1";
+const MAX_PAGE = 500;
+const IGNORED_ARTICLES = ["The", "El", "La", "Los", "Las", "Le", "Les"];
+
+const CONTENT_TYPES = {
+  mp3: "audio/mpeg",
+  mp2: "audio/mpeg",
+  flac: "audio/flac",
+  wav: "audio/wav",
+  aac: "audio/aac",
+  m4a: "audio/mp4",
+  m4b: "audio/mp4",
+  mp4: "audio/mp4",
+  alac: "audio/mp4",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  opus: "audio/ogg",
+  spx: "audio/ogg",
+  aif: "audio/aiff",
+  aiff: "audio/aiff",
+  aifc: "audio/aiff",
+  wma: "audio/x-ms-wma",
+  ape: "audio/x-ape",
+  wv: "audio/x-wavpack",
+  mpc: "audio/x-musepack",
+  dsf: "audio/x-dsf",
+  dff: "audio/x-dff",
+  tta: "audio/x-tta",
+};
+
+// Subsonic's error codes; failures still go out as HTTP 200
+export class SubsonicError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const MISSING = 10;
+const WRONG_CREDENTIALS = 40;
+const NOT_FOUND = 70;
+
+// --- Responses ---
+
+const escapeXml = (s) => String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// Plain values become attributes, objects and arrays child elements: the
+// usual mapping, which makes the JSON form the same object as it is
+function toXml(name, value) {
+  const attrs = [];
+  const children = [];
+  for (const [key, v] of Object.entries(value)) {
+    if (v === undefined || v === null) continue;
+    if (Array.isArray(v)) children.push(...v.map((item) => toXml(key, item)));
+    else if (typeof v === "object") children.push(toXml(key, v));
+    else attrs.push(` ${key}="${escapeXml(v)}"`);
+  }
+  const open = `<${name}${attrs.join("")}`;
+  return children.length ? `${open}>${children.join("")}</${name}>` : `${open}/>`;
+}
+
+function send(res, q, body, status = "ok") {
+  const response = { status, version: API_VERSION, type: "vaporplayer", openSubsonic: true, ...body };
+  const format = one(q.f);
+  const callback = one(q.callback);
+  if (format === "json") return res.json({ "subsonic-response": response });
+  if (format === "jsonp" && /^[\w$.]+$/.test(callback || "")) {
+    const json = JSON.stringify({ "subsonic-response": response });
+    return res.type("text/javascript").send(`${callback}(${json});`);
+  }
+  const xml = toXml("subsonic-response", { xmlns: "http://subsonic.org/restapi", ...response });
+  res.type("application/xml").send(`<?xml version="1.0" encoding="UTF-8"?>\n${xml}`);
+}
+
+// --- Parameters ---
+
+const one = (v) => (Array.isArray(v) ? v[0] : v);
+const many = (v) => (v === undefined ? [] : [].concat(v));
+
+function required(q, name) {
+  const value = one(q[name]);
+  if (value === undefined || value === "") {
+    throw new SubsonicError(MISSING, `Required parameter is missing: ${name}`);
+  }
+  return String(value);
+}
+
+const count = (v, fallback) => Math.min(MAX_PAGE, Math.max(0, parseInt(one(v), 10) || fallback));
+const offset = (v) => Math.max(0, parseInt(one(v), 10) || 0);
+
+// --- Sign-in ---
+
+const md5 = (s) => crypto.createHash("md5").update(s, "utf8").digest("hex");
+
+const same = (a, b) => {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+// p may be hex-encoded as "enc:…"
+const plainPassword = (p) => (p.startsWith("enc:") ? Buffer.from(p.slice(4), "hex").toString() : p);
+
+function signIn(req, q) {
+  const username = one(q.u);
+  const token = one(q.t);
+  const salt = one(q.s);
+  const password = one(q.p);
+  if (!username || !((token && salt) || password)) {
+    throw new SubsonicError(MISSING, "Required parameter is missing: u, and t and s (or p)");
+  }
+  if (lockedOut(req.ip)) {
+    throw new SubsonicError(WRONG_CREDENTIALS, "Too many failed sign-ins, try again in a minute");
+  }
+  const user = getUserByName(username);
+  const secret = user && subsonicPasswordOf(user);
+  const ok =
+    Boolean(secret) &&
+    (token && salt
+      ? same(md5(secret + salt), String(token).toLowerCase())
+      : same(plainPassword(String(password)), secret));
+  recordSignIn(req.ip, ok);
+  if (!ok) {
+    throw new SubsonicError(
+      WRONG_CREDENTIALS,
+      "Wrong username or password (use the Subsonic password set in VaporPlayer)"
+    );
+  }
+  return user;
+}
+
+// --- Entries ---
+
+const relPathOf = (t) => t.relPath.split(path.sep).join("/");
+const parentOf = (rel) => rel.split("/").slice(0, -1).join("/");
+const hasCover = (t) => t.hasPicture || Boolean(t.folderImage);
+const iso = (ms) => new Date(ms).toISOString();
+
+const dirId = (relDir) => `dir-${Buffer.from(relDir).toString("base64url")}`;
+
+function relDirOf(id) {
+  if (!id.startsWith("dir-")) return null;
+  return safeRelPath(Buffer.from(id.slice(4), "base64url").toString());
+}
+
+// Newest file in the library, standing in for when it last changed
+const libraryModified = () =>
+  Math.floor(getTracks().reduce((max, t) => Math.max(max, t.mtimeMs), 0));
+
+// First track with a cover at or below each folder, so folders can show one
+const folderCovers = new WeakMap();
+function folderCover(tracks, relDir) {
+  let covers = folderCovers.get(tracks);
+  if (!covers) {
+    covers = new Map();
+    for (const t of tracks) {
+      if (!hasCover(t)) continue;
+      const dirs = relPathOf(t).split("/").slice(0, -1);
+      for (let i = 1; i <= dirs.length; i++) {
+        const dir = dirs.slice(0, i).join("/");
+        if (!covers.has(dir)) covers.set(dir, t.id);
+      }
+    }
+    folderCovers.set(tracks, covers);
+  }
+  return covers.get(relDir);
+}
+
+function song(t, plays) {
+  const m = t.meta || {};
+  const rel = relPathOf(t);
+  const suffix = path.extname(rel).slice(1).toLowerCase();
+  const { artistId, albumId } = groupIds(t);
+  const played = plays[t.id];
+  return {
+    id: t.id,
+    parent: dirId(parentOf(rel)),
+    isDir: false,
+    title: m.title || t.name,
+    album: m.album || undefined,
+    artist: m.artist || undefined,
+    track: m.track ?? undefined,
+    discNumber: m.disc ?? undefined,
+    year: m.year ?? undefined,
+    genre: m.genre?.[0],
+    coverArt: hasCover(t) ? t.id : undefined,
+    size: t.size,
+    contentType: CONTENT_TYPES[suffix] || "application/octet-stream",
+    suffix,
+    duration: m.duration ? Math.round(m.duration) : undefined,
+    bitRate: m.bitrate ? Math.round(m.bitrate / 1000) : undefined,
+    path: rel,
+    playCount: played?.count,
+    played: played ? iso(played.lastPlayed) : undefined,
+    created: iso(t.mtimeMs),
+    albumId: `al-${albumId}`,
+    artistId: `ar-${artistId}`,
+    type: "music",
+    isVideo: false,
+  };
+}
+
+// `al` is a getAlbum() result, with its tracks
+function album(al, plays) {
+  const played = al.tracks.map((t) => plays[t.id]).filter(Boolean);
+  return {
+    id: `al-${al.id}`,
+    name: al.name,
+    artist: al.artist,
+    artistId: `ar-${al.artistId}`,
+    coverArt: al.coverTrackId || undefined,
+    songCount: al.trackCount,
+    duration: Math.round(al.duration),
+    year: al.year ?? undefined,
+    genre: al.genres[0],
+    created: iso(Math.max(...al.tracks.map((t) => t.mtimeMs))),
+    playCount: played.reduce((sum, p) => sum + p.count, 0),
+    played: played.length ? iso(Math.max(...played.map((p) => p.lastPlayed))) : undefined,
+  };
+}
+
+const artist = (a) => ({ id: `ar-${a.id}`, name: a.name, albumCount: a.albumCount });
+
+const allAlbums = (tracks) => listAlbums(tracks).map((al) => getAlbum(tracks, al.id));
+
+// Entries grouped by initial, leading articles ignored: [{ name, items }]
+function byInitial(entries, nameOf) {
+  const articles = new RegExp(`^(${IGNORED_ARTICLES.join("|")})\\s+`, "i");
+  const groups = new Map();
+  for (const entry of entries) {
+    const initial = fold(nameOf(entry).replace(articles, "")).charAt(0).toUpperCase();
+    const key = /[A-Z]/.test(initial) ? initial : "#";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return [...groups]
+    .sort(([a], [b]) => (a === "#" ? 1 : b === "#" ? -1 : a.localeCompare(b)))
+    .map(([name, items]) => ({ name, items }));
+}
+
+function playlist(p, user) {
+  return {
+    id: p.id,
+    name: p.name,
+    comment: p.description || undefined,
+    // The library's own playlist files belong to no one
+    owner: p.readOnly ? undefined : user.username,
+    public: Boolean(p.readOnly),
+    songCount: p.trackCount,
+    duration: Math.round(p.duration),
+    created: p.createdAt || iso(libraryModified()),
+    changed: p.updatedAt || iso(libraryModified()),
+  };
+}
+
+function trackFor(id) {
+  const track = getTrack(id);
+  if (!track) throw new SubsonicError(NOT_FOUND, "Song not found");
+  return track;
+}
+
+function albumFor(tracks, id) {
+  const al = id.startsWith("al-") && getAlbum(tracks, id.slice(3));
+  if (!al) throw new SubsonicError(NOT_FOUND, "Album not found");
+  return al;
+}
+
+// --- Methods ---
+// Each gets { req, res, q, user } and returns the response body, or
+// undefined once it has answered itself (streams, images)
+
+function fisherYates(list) {
+  const a = [...list];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// Each returns a new list, leaving the one it's given alone
+const ALBUM_LISTS = {
+  random: fisherYates,
+  newest: (list) => [...list].sort((a, b) => b.created.localeCompare(a.created)),
+  alphabeticalByName: (list) => [...list].sort((a, b) => a.name.localeCompare(b.name)),
+  alphabeticalByArtist: (list) =>
+    [...list].sort((a, b) => a.artist.localeCompare(b.artist) || a.name.localeCompare(b.name)),
+  frequent: (list) => list.filter((a) => a.playCount).sort((a, b) => b.playCount - a.playCount),
+  recent: (list) => list.filter((a) => a.played).sort((a, b) => b.played.localeCompare(a.played)),
+  // No ratings or stars (yet)
+  starred: () => [],
+  highest: () => [],
+};
+
+async function sendCover(res, track, size) {
+  const art = await getArtwork(track, thumbSize(size));
+  if (!art) throw new SubsonicError(NOT_FOUND, "Cover art not found");
+  res.set("ETag", art.etag);
+  res.set("Cache-Control", "private, max-age=604800");
+  res.type(art.type).send(art.data);
+}
+
+const stream = ({ res, q }) => {
+  res.sendFile(trackFor(required(q, "id")).path);
+};
+
+const METHODS = {
+  ping: () => ({}),
+
+  getLicense: () => ({ license: { valid: true } }),
+
+  getOpenSubsonicExtensions: () => ({
+    openSubsonicExtensions: [{ name: "formPost", versions: [1] }],
+  }),
+
+  getMusicFolders: () => ({ musicFolders: { musicFolder: [{ id: 1, name: "Music" }] } }),
+
+  // The folder view: top-level folders by initial, plus files at the top
+  getIndexes: ({ user }) => {
+    const tracks = getTracks();
+    const root = browseFolder(tracks, "");
+    const plays = playsOf(user.id);
+    return {
+      indexes: {
+        lastModified: libraryModified(),
+        ignoredArticles: IGNORED_ARTICLES.join(" "),
+        index: byInitial(root.dirs, (d) => d.name).map(({ name, items }) => ({
+          name,
+          artist: items.map((d) => ({ id: dirId(d.path), name: d.name })),
+        })),
+        child: root.tracks.map((t) => song(t, plays)),
+      },
+    };
+  },
+
+  getMusicDirectory: ({ q, user }) => {
+    const id = required(q, "id");
+    const relDir = relDirOf(id);
+    const tracks = getTracks();
+    const folder = relDir === null ? null : browseFolder(tracks, relDir);
+    if (!folder) throw new SubsonicError(NOT_FOUND, "Directory not found");
+    const plays = playsOf(user.id);
+    return {
+      directory: {
+        id,
+        parent: relDir ? dirId(folder.parent) : undefined,
+        name: relDir ? relDir.split("/").pop() : "Music",
+        child: [
+          ...folder.dirs.map((d) => ({
+            id: dirId(d.path),
+            parent: id,
+            isDir: true,
+            title: d.name,
+            coverArt: folderCover(tracks, d.path),
+          })),
+          ...folder.tracks.map((t) => song(t, plays)),
+        ],
+      },
+    };
+  },
+
+  getArtists: () => ({
+    artists: {
+      ignoredArticles: IGNORED_ARTICLES.join(" "),
+      index: byInitial(listArtists(getTracks()), (a) => a.name).map(({ name, items }) => ({
+        name,
+        artist: items.map(artist),
+      })),
+    },
+  }),
+
+  getArtist: ({ q, user }) => {
+    const id = required(q, "id");
+    const tracks = getTracks();
+    const a = id.startsWith("ar-") && getArtist(tracks, id.slice(3));
+    if (!a) throw new SubsonicError(NOT_FOUND, "Artist not found");
+    const plays = playsOf(user.id);
+    return {
+      artist: {
+        ...artist(a),
+        album: a.albums.map((al) => album(getAlbum(tracks, al.id), plays)),
+      },
+    };
+  },
+
+  getAlbum: ({ q, user }) => {
+    const al = albumFor(getTracks(), required(q, "id"));
+    const plays = playsOf(user.id);
+    return { album: { ...album(al, plays), song: al.tracks.map((t) => song(t, plays)) } };
+  },
+
+  getSong: ({ q, user }) => ({ song: song(trackFor(required(q, "id")), playsOf(user.id)) }),
+
+  getAlbumList2: ({ q, user }) => {
+    const type = required(q, "type");
+    const tracks = getTracks();
+    const plays = playsOf(user.id);
+    let list;
+    if (type === "byYear") {
+      const from = parseInt(required(q, "fromYear"), 10);
+      const to = parseInt(required(q, "toYear"), 10);
+      const [lo, hi] = from <= to ? [from, to] : [to, from];
+      list = allAlbums(tracks)
+        .filter((al) => al.year >= lo && al.year <= hi)
+        .map((al) => album(al, plays))
+        .sort((a, b) => (from <= to ? a.year - b.year : b.year - a.year));
+    } else if (type === "byGenre") {
+      const genre = required(q, "genre");
+      list = listAlbums(tracks, { genre }).map((al) => album(getAlbum(tracks, al.id), plays));
+    } else if (ALBUM_LISTS[type]) {
+      list = ALBUM_LISTS[type](allAlbums(tracks).map((al) => album(al, plays)));
+    } else {
+      throw new SubsonicError(0, `Unknown album list type: ${type}`);
+    }
+    const start = offset(q.offset);
+    return { albumList2: { album: list.slice(start, start + count(q.size, 10)) } };
+  },
+
+  // An empty query matches everything, which clients use to sync the library
+  search3: ({ q, user }) => {
+    const query = fold(String(one(q.query) ?? "").replace(/"/g, "").trim());
+    const matches = (...texts) => !query || texts.some((text) => fold(text).includes(query));
+    const page = (list, prefix) => {
+      const start = offset(q[`${prefix}Offset`]);
+      return list.slice(start, start + count(q[`${prefix}Count`], 20));
+    };
+    const tracks = getTracks();
+    const plays = playsOf(user.id);
+    return {
+      searchResult3: {
+        artist: page(
+          listArtists(tracks).filter((a) => matches(a.name)),
+          "artist"
+        ).map(artist),
+        album: page(
+          listAlbums(tracks).filter((al) => matches(al.name, al.artist)),
+          "album"
+        ).map((al) => album(getAlbum(tracks, al.id), plays)),
+        song: page(
+          tracks.filter((t) => matches(t.meta?.title || t.name, t.meta?.artist, t.meta?.album)),
+          "song"
+        ).map((t) => song(t, plays)),
+      },
+    };
+  },
+
+  getPlaylists: ({ user }) => ({
+    playlists: { playlist: listPlaylists(user.id).map((p) => playlist(p, user)) },
+  }),
+
+  getPlaylist: ({ q, user }) => {
+    let p;
+    try {
+      p = getPlaylist(user.id, required(q, "id"));
+    } catch (err) {
+      if (!(err instanceof PlaylistError)) throw err;
+      throw new SubsonicError(NOT_FOUND, "Playlist not found");
+    }
+    const plays = playsOf(user.id);
+    return {
+      playlist: {
+        ...playlist(p, user),
+        entry: p.items.filter((item) => item.track).map((item) => song(item.track, plays)),
+      },
+    };
+  },
+
+  // The original file, whatever format or bit rate was asked for
+  stream,
+  download: stream,
+
+  getCoverArt: async ({ res, q }) => {
+    const id = required(q, "id");
+    const trackId = id.startsWith("al-") ? albumFor(getTracks(), id).coverTrackId : id;
+    await sendCover(res, trackFor(trackId), one(q.size));
+  },
+
+  // submission=false is "now playing", which isn't kept
+  scrobble: ({ q, user }) => {
+    const ids = many(q.id);
+    if (!ids.length) throw new SubsonicError(MISSING, "Required parameter is missing: id");
+    if (one(q.submission) === "false") return {};
+    const times = many(q.time);
+    ids.forEach((id, i) => {
+      if (getTrack(id)) recordPlay(user.id, id, Number(times[i]) || Date.now());
+    });
+    return {};
+  },
+};
+
+// Methods clients call before having credentials
+const PUBLIC_METHODS = new Set(["getOpenSubsonicExtensions"]);
+
+// Mounted at /rest; methods answer with or without the ".view" suffix
+export const subsonicApi = express.Router();
+subsonicApi.use(express.urlencoded({ extended: false }));
+
+subsonicApi.all("/:method", async (req, res) => {
+  const q = { ...req.query, ...req.body };
+  const name = req.params.method.replace(/\.view$/, "");
+  try {
+    const method = Object.hasOwn(METHODS, name) ? METHODS[name] : null;
+    if (!method) throw new SubsonicError(0, `Unknown method: ${name}`);
+    const user = PUBLIC_METHODS.has(name) ? null : signIn(req, q);
+    const body = await method({ req, res, q, user });
+    if (body !== undefined) send(res, q, body);
+  } catch (err) {
+    if (!(err instanceof SubsonicError)) console.error(`Subsonic ${name} failed`, err);
+    const { code, message } = err instanceof SubsonicError ? err : { code: 0, message: "Server error" };
+    if (!res.headersSent) send(res, q, { error: { code, message } }, "failed");
+  }
+});
@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import { seal, unseal } from "./secret.mjs";
+import { readJson, writeJson } from "./store.mjs";
+
+const USERS_FILE = "users.json";
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost; stored with each hash so it can be raised later without
+// breaking existing passwords
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD = 8;
+const USERNAME = /^[a-z0-9._-]{1,32}$/i;
+
+// Local accounts. `version` is bumped when the password changes, which
+// invalidates every token and media link issued before (see auth.mjs).
+// Subsonic clients authenticate with md5(password + salt), which needs the
+// password itself, so they get a separate one, stored encrypted.
+let users = readJson(USERS_FILE, []);
+
+const save = () => writeJson(USERS_FILE, users);
+
+export class UserError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// "scrypt$N$r$p$salt$hash", salt and hash in base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 64 * 1024 * 1024 });
+  return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+async function checkPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = stored.split("$");
+  if (scheme !== "scrypt") return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+    maxmem: 64 * 1024 * 1024,
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// What the API shows of an account
+export const publicUser = ({ id, username, admin, createdAt, subsonicPassword }) => ({
+  id,
+  username,
+  admin,
+  createdAt,
+  subsonic: Boolean(subsonicPassword),
+});
+
+export const hasUsers = () => users.length > 0;
+
+export const getUser = (id) => users.find((u) => u.id === id) || null;
+
+export const listUsers = () => users.map(publicUser);
+
+export const getUserByName = (username) =>
+  users.find((u) => u.username.toLowerCase() === String(username).toLowerCase()) || null;
+
+function cleanPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD) {
+    throw new UserError(400, `Passwords need at least ${MIN_PASSWORD} characters`);
+  }
+  return password;
+}
+
+// With `first`, only while there are no accounts yet (setting up). Both
+// checks run again after hashing, so concurrent requests can't both pass.
+export async function createUser(
+  { username, password, admin = false } = {},
+  { first = false } = {}
+) {
+  if (typeof username !== "string" || !USERNAME.test(username)) {
+    throw new UserError(400, "Usernames are 1–32 letters, digits, dots, dashes or underscores");
+  }
+  const check = () => {
+    if (first && hasUsers()) throw new UserError(409, "Already set up");
+    if (getUserByName(username)) throw new UserError(409, "That username is taken");
+  };
+  check();
+  const passwordHash = await hashPassword(cleanPassword(password));
+  check();
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    admin: Boolean(admin),
+    passwordHash,
+    version: 1,
+    createdAt: new Date().toISOString(),
+  };
+  users.push(user);
+  save();
+  return user;
+}
+
+export function deleteUser(id) {
+  if (!getUser(id)) throw new UserError(404, "User not found");
+  users = users.filter((u) => u.id !== id);
+  save();
+}
+
+// The account for these credentials, or null. Unknown names still cost a
+// hash, so response times don't tell which usernames exist.
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+export async function authenticateUser(username, password) {
+  const user = getUserByName(username);
+  if (typeof password !== "string") return null;
+  const ok = await checkPassword(password, user?.passwordHash || (await DUMMY_HASH));
+  return ok && user ? user : null;
+}
+
+export async function changePassword(id, current, password) {
+  const user = getUser(id);
+  if (!user) throw new UserError(404, "User not found");
+  if (!(await checkPassword(String(current ?? ""), user.passwordHash))) {
+    throw new UserError(403, "Current password is wrong");
+  }
+  user.passwordHash = await hashPassword(cleanPassword(password));
+  user.version += 1;
+  save();
+  return user;
+}
+
+// null turns Subsonic access off
+export function setSubsonicPassword(id, password) {
+  const user = getUser(id);
+  if (!user) throw new UserError(404, "User not found");
+  user.subsonicPassword = password === null ? null : seal(cleanPassword(password));
+  save();
+  return user;
+}
+
+export const subsonicPasswordOf = (user) =>
+  user.subsonicPassword ? unseal(user.subsonicPassword) : null;
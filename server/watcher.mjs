@@ -0,0 +1,78 @@
+import path from "path";
+import chokidar from "chokidar";
+import { isFolderImage } from "./artwork.mjs";
+import {
+  refreshFolder,
+  removePath,
+  scanSettled,
+  updateFile,
+  updatePlaylistFile,
+} from "./library.mjs";
+import { isPlaylistFile } from "./m3u.mjs";
+import { mayBeAudio } from "./scanner.mjs";
+
+// WATCH_MODE: "events" (inotify & co.), "poll" (NFS/SMB mounts, where change
+// events never arrive) or "off". Events fall back to polling when the OS
+// runs out of watch handles.
+const WATCH_MODE = process.env.WATCH_MODE || "events";
+const WATCH_INTERVAL = parseInt(process.env.WATCH_INTERVAL, 10) || 10000;
+
+export function watchLibrary(baseDir) {
+  if (WATCH_MODE === "off") return;
+
+  // Apply changes one at a time so a burst can't interleave index writes,
+  // and never while a full scan is running
+  let queue = Promise.resolve();
+  const enqueue = (fn) => {
+    queue = queue
+      .then(scanSettled)
+      .then(fn)
+      .catch((err) => console.error("Library update failed", err));
+  };
+
+  const onFile = (file) => {
+    const name = path.basename(file);
+    if (mayBeAudio(name)) enqueue(() => updateFile(baseDir, file));
+    else if (isPlaylistFile(name)) enqueue(() => updatePlaylistFile(baseDir, file));
+    else if (isFolderImage(name)) enqueue(() => refreshFolder(path.dirname(file)));
+  };
+  const onRemove = (file) => {
+    if (isFolderImage(path.basename(file))) {
+      enqueue(() => refreshFolder(path.dirname(file)));
+    } else {
+      enqueue(() => removePath(baseDir, file));
+    }
+  };
+
+  let fallenBack = false;
+  function start(usePolling) {
+    const watcher = chokidar.watch(baseDir, {
+      ignoreInitial: true,
+      ignored: (file) => path.basename(file).startsWith("."),
+      // The scanner follows links with loop detection; the watcher can't
+      followSymlinks: false,
+      usePolling,
+      interval: WATCH_INTERVAL,
+      binaryInterval: WATCH_INTERVAL,
+      // Wait for copies to finish before reading tags
+      awaitWriteFinish: { stabilityThreshold: 2000, pollInterval: 500 },
+    });
+    watcher
+      .on("add", onFile)
+      .on("change", onFile)
+      .on("unlink", onRemove)
+      .on("unlinkDir", onRemove)
+      .on("error", (err) => {
+        console.error("Library watcher error", err.message);
+        // Out of inotify watches / file handles: polling still works
+        if (!usePolling && !fallenBack && ["ENOSPC", "EMFILE"].includes(err.code)) {
+          fallenBack = true;
+          console.log("Falling back to polling the library");
+          watcher.close();
+          start(true);
+        }
+      });
+    console.log(`Watching ${baseDir} (${usePolling ? "polling" : "events"})`);
+  }
+  start(WATCH_MODE === "poll");
+}
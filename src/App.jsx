@@ -1,9 +1,57 @@
 import { Buffer } from "buffer";
 window.Buffer = Buffer;
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import ColorThief from "colorthief";
 import { motion, AnimatePresence } from "framer-motion";
 import { parseBlob } from "music-metadata-browser";
+import {
+  apiFetch,
+  apiUrl,
+  exportTracks,
+  fromServer,
+  getJson,
+  importPlaylistFiles,
+  isPlaylistFile,
+  withToken,
+} from "./api";
+import AccountMenu from "./components/AccountMenu";
+import AddToPlaylist from "./components/AddToPlaylist";
+import DevicePicker from "./components/DevicePicker";
+import Equalizer from "./components/Equalizer";
+import LibrarySidebar from "./components/LibrarySidebar";
+import LyricsPane from "./components/LyricsPane";
+import OfflinePanel from "./components/OfflinePanel";
+import QueuePanel from "./components/QueuePanel";
+import RemoteControl from "./components/RemoteControl";
+import RoomMenu from "./components/RoomMenu";
+import ShortcutsHelp from "./components/ShortcutsHelp";
+import SoundSettings from "./components/SoundSettings";
+import Visualizer from "./components/Visualizer";
+import WaveformSeekbar from "./components/WaveformSeekbar";
+import {
+  SEEK_STEP,
+  VOLUME_STEP,
+  commandForCombo,
+  isFieldTarget,
+  keyCombo,
+  resolveBindings,
+} from "./commands";
+import { createEngine, replayGainFor } from "./engine";
+import { BUILTIN_PRESETS, DEFAULT_EQ, presetForGenres } from "./eq";
+import { setMediaHandlers, setMediaMetadata, setMediaPosition } from "./mediaSession";
+import { loadPins, pinTracks, pinnedTracks, unpinTracks } from "./offline";
+import { connectDevices } from "./remote";
+import {
+  ROOM_SYNC_INTERVAL,
+  correction,
+  invitedRoom,
+  roomItemKey,
+  roomPosition,
+  roomQueue,
+} from "./rooms";
+import { keepSession, restoreSession, revive, snapshot } from "./session";
+import { loadSetting, saveSetting } from "./storage";
+import * as Queue from "./queue";
 import {
   Play,
   Pause,
@@ -17,8 +65,27 @@ import {
   Upload,
   Music2,
   Trash2,
+  RefreshCw,
+  Search,
+  Download,
+  ListStart,
+  ListEnd,
+  SlidersHorizontal,
+  MicVocal,
+  Keyboard,
+  WifiOff,
 } from "lucide-react";
 
+const PAGE_SIZE = 200;
+const VISUALIZER_MODES = ["off", "bars", "scope", "radial"];
+
+const SHUFFLE_LABELS = {
+  off: "Shuffle Off",
+  tracks: "Shuffle Tracks",
+  albums: "Shuffle Albums",
+  artists: "Shuffle (artist-weighted)",
+};
+
 // --- Utility helpers ---
 const fmt = (t) => {
   if (!isFinite(t)) return "0:00";
@@ -62,97 +129,358 @@ const readTags = (file) =>
     }
   });
 
-export default function MusicPlayerApp() {
+// `user` is the signed-in account (see components/AuthGate.jsx)
+export default function MusicPlayerApp({ user, onSignOut, onAuthChange }) {
   const [tracks, setTracks] = useState([]);
   const [library, setLibrary] = useState({});
-  const [index, setIndex] = useState(0);
+  const [queue, setQueue] = useState(Queue.emptyQueue);
+  const [view, setView] = useState("tracks");
   const [playing, setPlaying] = useState(false);
-  const [shuffle, setShuffle] = useState(false);
+  const [shuffle, setShuffle] = useState("off");
   const [repeatMode, setRepeatMode] = useState("off");
   const [volume, setVolume] = useState(0.9);
   const [muted, setMuted] = useState(false);
   const [progress, setProgress] = useState(0);
   const [duration, setDuration] = useState(0);
+  const [crossfade, setCrossfade] = useState(0);
+  const [replayGain, setReplayGain] = useState({
+    mode: "auto",
+    preamp: 0,
+    preventClipping: true,
+  });
+  const [showSound, setShowSound] = useState(false);
+  // EQ and presets are the user's own: kept locally under their id and on
+  // the server with the session, so they follow them to other browsers
+  const [eq, setEq] = useState(() => ({ ...DEFAULT_EQ, ...loadSetting(`eq:${user.id}`, {}) }));
+  const [eqPresets, setEqPresets] = useState(() => loadSetting(`eqPresets:${user.id}`, []));
   const [bgColor, setBgColor] = useState("#0a0f29");
+  const [palette, setPalette] = useState(null);
+  const [visualizer, setVisualizer] = useState(() => loadSetting("visualizer", "bars"));
+  const [showLyrics, setShowLyrics] = useState(() => loadSetting("lyrics", false));
+  const [shortcuts, setShortcuts] = useState(() => loadSetting("shortcuts", {}));
+  const [showHelp, setShowHelp] = useState(false);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [pins, setPins] = useState(loadPins);
+  const [pinning, setPinning] = useState({});
+  const [devices, setDevices] = useState([]);
+  // Another device being remote-controlled from this one, or null
+  const [controlling, setControlling] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [roomError, setRoomError] = useState(null);
+  const [invite, setInvite] = useState(invitedRoom);
+  const [scan, setScan] = useState(null);
+  const [libraryVersion, setLibraryVersion] = useState(0);
+  const [playlists, setPlaylists] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const lastClickedRef = useRef(null);
+
+  // Server tracks are loaded a page at a time; `offset` is where the next
+  // page starts and `q` the search the loaded pages belong to.
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState({ q: "", offset: 0, total: 0 });
+  const pageRef = useRef(page);
+  pageRef.current = page;
+  const loadingRef = useRef(false);
 
+  const loadPage = useCallback(async (q, offset) => {
+    loadingRef.current = true;
+    try {
+      const params = new URLSearchParams({ offset, limit: PAGE_SIZE });
+      if (q) params.set("q", q);
+      const res = await apiFetch(`/api/library?${params}`);
+      const result = await res.json();
+      const items = result.items.map(fromServer);
+      setPage({ q, offset: offset + items.length, total: result.total });
+      setTracks((prev) => {
+        if (offset > 0) {
+          const have = new Set(prev.map((t) => t.id));
+          return [...prev, ...items.filter((t) => !have.has(t.id))];
+        }
+        // A new search replaces the server tracks but keeps dropped files
+        return [...prev.filter((t) => !t.remote), ...items];
+      });
+    } catch (err) {
+      console.error("Library fetch failed", err);
+    } finally {
+      loadingRef.current = false;
+    }
+  }, []);
+
+  useEffect(() => {
+    const q = search.trim();
+    const timer = setTimeout(() => loadPage(q, 0), q ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [search, loadPage]);
+
+  const onPlaylistScroll = (e) => {
+    const el = e.currentTarget;
+    if (loadingRef.current || page.offset >= page.total) return;
+    if (el.scrollTop + el.clientHeight > el.scrollHeight - 400) {
+      loadPage(page.q, page.offset);
+    }
+  };
+
+  const refreshPlaylists = useCallback(() => {
+    getJson("/api/playlists")
+      .then(setPlaylists)
+      .catch((err) => console.warn("Playlists fetch failed", err));
+  }, []);
+
+  useEffect(refreshPlaylists, [refreshPlaylists]);
+
+  // Live library updates pushed by the server's watcher / rescans
   useEffect(() => {
-  fetch("/api/library")
-    .then((res) => res.json())
-    .then(setTracks)
-    .catch((err) => console.error("Library fetch failed", err));
-}, []);
+    const events = new EventSource(apiUrl(withToken("/api/events")));
+    events.addEventListener("library", (e) => {
+      const { added, updated, removed } = JSON.parse(e.data);
+      const gone = new Set(removed);
+      const changed = new Map(updated.map((t) => [t.id, fromServer(t)]));
+      // New tracks belong at the end of the unfiltered list; anywhere else
+      // they'll show up with the next search or page load
+      const { q, offset, total } = pageRef.current;
+      const append = !q && offset >= total ? added.map(fromServer) : [];
+      setTracks((prev) => [
+        ...prev.filter((t) => !gone.has(t.id)).map((t) => changed.get(t.id) || t),
+        ...append,
+      ]);
+      setQueue((q) => Queue.refresh(q, changed, gone));
+      setLibraryVersion((v) => v + 1);
+      if (!q) {
+        setPage((p) => ({
+          ...p,
+          offset: p.offset + append.length,
+          total: Math.max(0, p.total + added.length - removed.length),
+        }));
+      }
+    });
+    events.addEventListener("scan", (e) => setScan(JSON.parse(e.data)));
+    events.addEventListener("playlists", refreshPlaylists);
+    return () => events.close();
+  }, [refreshPlaylists]);
+
+  useEffect(() => {
+    apiFetch("/api/scan")
+      .then((res) => res.json())
+      .then(setScan)
+      .catch(() => {});
+  }, []);
+
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  // Pins are keyed "album:<id>" / "playlist:<id>"; `pinning` tracks the
+  // downloads under way
+  const pin = (id, name, list) => {
+    const tracksToPin = list.filter((t) => t.remote);
+    if (!tracksToPin.length) return;
+    const kind = id.split(":")[0];
+    const report = (done, total) => setPinning((p) => ({ ...p, [id]: { name, done, total } }));
+    report(0, tracksToPin.length);
+    pinTracks({ id, kind, name, tracks: tracksToPin }, report)
+      .then(setPins)
+      .catch((err) => console.error("Pinning failed", name, err))
+      .finally(() =>
+        setPinning((p) => {
+          const rest = { ...p };
+          delete rest[id];
+          return rest;
+        })
+      );
+  };
+
+  const unpin = (id) =>
+    unpinTracks(id)
+      .then(setPins)
+      .catch((err) => console.error("Unpinning failed", err));
+
+  const rescan = () => {
+    apiFetch("/api/rescan", { method: "POST" }).catch((err) =>
+      console.error("Rescan failed", err)
+    );
+  };
 
-  const audioRef = useRef(null);
   const inputRef = useRef(null);
 
-  const current = tracks[index];
+  const currentItem = queue.items[queue.position] || null;
+  const current = Queue.currentTrack(queue);
 
-  const nextIndex = () => {
-    if (repeatMode === "one") return index;
-    if (shuffle && tracks.length > 1) {
-      let r;
-      do {
-        r = Math.floor(Math.random() * tracks.length);
-      } while (r === index);
-      return r;
-    }
-    if (index + 1 < tracks.length) return index + 1;
-    return repeatMode === "all" ? 0 : index;
+  // The last session comes back paused, at the saved position in the saved
+  // queue. Saving only starts once that's done, so the empty startup state
+  // never overwrites it.
+  const [restored, setRestored] = useState(false);
+  const resumeAtRef = useRef(null);
+  const sessionRef = useRef(null);
+  sessionRef.current = {
+    queue,
+    progress,
+    settings: { shuffle, repeatMode, volume, muted, crossfade, replayGain, eq, eqPresets },
   };
 
-  const prevIndex = () => {
-    if (shuffle && tracks.length > 1) {
-      let r;
-      do {
-        r = Math.floor(Math.random() * tracks.length);
-      } while (r === index);
-      return r;
+  useEffect(() => {
+    let cancelled = false;
+    restoreSession()
+      .then((session) => {
+        // Leave it if something was started while this was loading
+        if (cancelled || !session || sessionRef.current.queue.items.length) return;
+        const { settings } = session;
+        if (settings.shuffle) setShuffle(settings.shuffle);
+        if (settings.repeatMode) setRepeatMode(settings.repeatMode);
+        if (settings.volume != null) setVolume(settings.volume);
+        if (settings.muted != null) setMuted(settings.muted);
+        if (settings.crossfade != null) setCrossfade(settings.crossfade);
+        if (settings.replayGain) setReplayGain(settings.replayGain);
+        if (settings.eq) setEq({ ...DEFAULT_EQ, ...settings.eq });
+        if (Array.isArray(settings.eqPresets)) setEqPresets(settings.eqPresets);
+        resumeAtRef.current = session.progress || null;
+        setQueue(session.queue);
+      })
+      .catch((err) => console.warn("Restoring session failed", err))
+      .finally(() => !cancelled && setRestored(true));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (restored) return keepSession(() => sessionRef.current);
+  }, [restored]);
+
+  // One engine for the app's lifetime; its callbacks only use state setters
+  // and refs. `followingRef` is the queue as it will be once the engine
+  // moves on by itself.
+  const followingRef = useRef(null);
+  const trackEndedRef = useRef(null);
+  const engineRef = useRef(null);
+  if (!engineRef.current) {
+    engineRef.current = createEngine({
+      onTime: setProgress,
+      onDuration: setDuration,
+      onEnded: () => {
+        trackEndedRef.current?.();
+        setPlaying(false);
+      },
+      onAdvance: () => {
+        trackEndedRef.current?.();
+        setQueue(followingRef.current);
+      },
+    });
+  }
+
+  // The device hub connection (see the remote control section below). In a
+  // room, playback and queue changes go to the room instead of local state.
+  const remoteRef = useRef(null);
+  const roomAction = (action, value) => remoteRef.current.roomAction(action, value);
+  const isHost = Boolean(room) && room.hostId === remoteRef.current?.id;
+
+  // Landing on the item that's already current (Previous at the start of
+  // the queue, or a queue of one) restarts it
+  const go = (q) => {
+    if (!q) return;
+    if (q.items[q.position]?.key === queue.items[queue.position]?.key) {
+      setCurrentTime(0);
     }
-    return index > 0 ? index - 1 : repeatMode === "all" ? tracks.length - 1 : 0;
+    setQueue(q);
   };
+  const next = () => (room ? roomAction("next") : go(Queue.next(queue, repeatMode)));
+  const prev = () => (room ? roomAction("previous") : go(Queue.previous(queue, repeatMode)));
+
+  const cycleShuffle = () => {
+    // The room's order is everyone's order
+    if (room) return;
+    const modes = Queue.SHUFFLE_MODES;
+    const mode = modes[(modes.indexOf(shuffle) + 1) % modes.length];
+    setShuffle(mode);
+    setQueue((q) => (mode === "off" ? Queue.unshuffle(q) : Queue.shuffle(q, mode)));
+  };
+
+  const cycleRepeat = () =>
+    setRepeatMode((m) => (m === "off" ? "one" : m === "one" ? "all" : "off"));
 
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    audio.volume = muted ? 0 : volume;
+    engineRef.current.setVolume(muted ? 0 : volume);
   }, [volume, muted]);
 
+  // "auto" means album gain, unless tracks are being shuffled apart
+  const gainSettings = {
+    ...replayGain,
+    mode:
+      replayGain.mode === "auto"
+        ? shuffle === "tracks" || shuffle === "artists"
+          ? "track"
+          : "album"
+        : replayGain.mode,
+  };
+  const { mode: gainMode, preamp, preventClipping } = gainSettings;
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-
-    const onTime = () => setProgress(audio.currentTime);
-    const onLoaded = () => setDuration(audio.duration || 0);
-    const onEnd = () => {
-      const next = nextIndex();
-      if (next === index && repeatMode === "off") {
-        setPlaying(false);
-      } else {
-        setIndex(next);
-        setPlaying(true);
-      }
-    };
+    engineRef.current.setReplayGain({ mode: gainMode, preamp, preventClipping });
+  }, [gainMode, preamp, preventClipping]);
 
-    audio.addEventListener("timeupdate", onTime);
-    audio.addEventListener("loadedmetadata", onLoaded);
-    audio.addEventListener("ended", onEnd);
-    return () => {
-      audio.removeEventListener("timeupdate", onTime);
-      audio.removeEventListener("loadedmetadata", onLoaded);
-      audio.removeEventListener("ended", onEnd);
-    };
-  }, [index, repeatMode, tracks.length]);
+  useEffect(() => saveSetting(`eq:${user.id}`, eq), [user.id, eq]);
+  useEffect(() => saveSetting(`eqPresets:${user.id}`, eqPresets), [user.id, eqPresets]);
+
+  const { enabled: eqEnabled, preamp: eqPreamp, gains: eqGains, autoGenre } = eq;
+  useEffect(() => {
+    engineRef.current.setEq({ enabled: eqEnabled, preamp: eqPreamp, gains: eqGains });
+  }, [eqEnabled, eqPreamp, eqGains]);
+
+  // With "switch preset by genre" on, each track's genre picks the preset
+  const currentGenres = current?.meta?.genre;
+  useEffect(() => {
+    if (!autoGenre) return;
+    setEq((e) => {
+      const preset = presetForGenres(
+        currentGenres,
+        [...BUILTIN_PRESETS, ...eqPresets],
+        e.genreMap
+      );
+      if (!preset || preset.name === e.preset) return e;
+      return { ...e, preset: preset.name, preamp: preset.preamp, gains: preset.gains };
+    });
+  }, [currentGenres, eqPresets, autoGenre]);
 
   useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    if (current) {
-      if (playing) audio.play().catch(() => {});
-      else audio.pause();
+    const engine = engineRef.current;
+    engine.load(currentItem);
+    if (resumeAtRef.current !== null) {
+      engine.seek(resumeAtRef.current);
+      setProgress(resumeAtRef.current);
+      resumeAtRef.current = null;
     }
-  }, [current, playing]);
+    if (playing) engine.play();
+    else engine.pause();
+  }, [currentItem, playing]);
 
+  // Tell the engine what comes next so it can preload it and start it on
+  // time. Runs after the load above, so a preloaded track isn't replaced
+  // before the engine has switched to it.
+  // A room plays its queue straight through, without fades that would put
+  // listeners' track changes out of step.
+  const inRoom = Boolean(room);
   useEffect(() => {
+    const repeat = inRoom ? "off" : repeatMode;
+    const following = repeat === "one" ? queue : Queue.next(queue, repeat);
+    followingRef.current = following;
+    const item = following?.items[following.position] || null;
+    const fade =
+      item && !inRoom && !Queue.sameAlbum(Queue.currentTrack(queue), item.track) ? crossfade : 0;
+    engineRef.current.preload(item, fade);
+  }, [queue, repeatMode, crossfade, inRoom]);
+
+  useEffect(() => saveSetting("visualizer", visualizer), [visualizer]);
+  useEffect(() => saveSetting("lyrics", showLyrics), [showLyrics]);
+  useEffect(() => saveSetting("shortcuts", shortcuts), [shortcuts]);
+  const getAnalyser = useCallback(() => engineRef.current.getAnalyser(), []);
+
+  useEffect(() => {
+    setPalette(null);
     if (current?.meta?.pictureUrl) {
       const img = new Image();
       img.crossOrigin = "Anonymous";
@@ -163,6 +491,7 @@ export default function MusicPlayerApp() {
         try {
           const [r, g, b] = colorThief.getColor(img);
           setBgColor(`rgb(${r}, ${g}, ${b})`);
+          setPalette(colorThief.getPalette(img, 5));
         } catch (e) {
           console.warn("Color extraction failed", e);
         }
@@ -184,6 +513,15 @@ export default function MusicPlayerApp() {
       try {
         const metadata = await parseBlob(file);
         const format = metadata.format;
+        const { common } = metadata;
+        if (common.replaygain_track_gain || common.replaygain_album_gain) {
+          meta.replayGain = {
+            trackGain: common.replaygain_track_gain?.dB ?? null,
+            trackPeak: common.replaygain_track_peak?.ratio ?? null,
+            albumGain: common.replaygain_album_gain?.dB ?? null,
+            albumPeak: common.replaygain_album_peak?.ratio ?? null,
+          };
+        }
         const ext = file.name.split(".").pop().toLowerCase();
 
         if (ext === "flac") quality = "FLAC";
@@ -251,7 +589,13 @@ export default function MusicPlayerApp() {
 
   const onDrop = async (e) => {
     e.preventDefault();
-    await addFiles(e.dataTransfer.files);
+    const files = [...e.dataTransfer.files];
+    const lists = files.filter(isPlaylistFile);
+    if (lists.length) {
+      await importPlaylistFiles(lists);
+      refreshPlaylists();
+    }
+    await addFiles(files.filter((f) => !isPlaylistFile(f)));
   };
 
   const onPick = async (e) => {
@@ -259,6 +603,71 @@ export default function MusicPlayerApp() {
     e.target.value = "";
   };
 
+  // Play a picked track. With a context (the album, folder or list it was
+  // picked from) the queue becomes that context; without one the track is
+  // slotted in before whatever was up next.
+  const playTrack = (track, context) => {
+    if (room) {
+      if (track.remote) roomAction("add", { ids: [track.id], at: "now" });
+      return;
+    }
+    if (context?.length) {
+      const at = context.findIndex((t) => t.id === track.id);
+      // The list may have changed under the click (a library update, a
+      // filter): the track then leads the context rather than being lost
+      setQueue(
+        at >= 0
+          ? Queue.playContext(context, at, shuffle)
+          : Queue.playContext([track, ...context], 0, shuffle)
+      );
+    } else {
+      setQueue((q) => Queue.playNow(q, track));
+    }
+    setPlaying(true);
+  };
+
+  // Rooms only take tracks every listener can stream
+  const roomIds = (list) => list.filter((t) => t.remote).map((t) => t.id);
+
+  const queueNext = (list) =>
+    room
+      ? roomAction("add", { ids: roomIds(list), at: "next" })
+      : setQueue((q) => Queue.playNext(q, list));
+  const queueLast = (list) =>
+    room
+      ? roomAction("add", { ids: roomIds(list), at: "end" })
+      : setQueue((q) => Queue.append(q, list));
+
+  // Ctrl/Cmd-click toggles a track, Shift-click selects a range
+  const selectTrack = (i, range) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      const from = range && lastClickedRef.current !== null ? lastClickedRef.current : i;
+      const [lo, hi] = from < i ? [from, i] : [i, from];
+      if (range) {
+        for (let j = lo; j <= hi; j++) if (tracks[j]) next.add(tracks[j].id);
+      } else if (next.has(tracks[i].id)) {
+        next.delete(tracks[i].id);
+      } else {
+        next.add(tracks[i].id);
+      }
+      return next;
+    });
+    lastClickedRef.current = i;
+  };
+
+  // Replace the queue with `list` (e.g. a whole folder) and start it
+  const playTracks = (list) => {
+    if (!list.length) return;
+    if (room) {
+      if (isHost) roomAction("replace", { ids: roomIds(list) });
+      else queueLast(list);
+      return;
+    }
+    setQueue(Queue.playContext(list, shuffle === "off" ? 0 : -1, shuffle));
+    setPlaying(true);
+  };
+
   const removeTrack = (id) => {
     setTracks((prev) => prev.filter((t) => t.id !== id));
   };
@@ -266,18 +675,224 @@ export default function MusicPlayerApp() {
   const clearAll = () => {
     setTracks([]);
     setLibrary({});
-    setIndex(0);
+    setQueue(Queue.emptyQueue);
     setPlaying(false);
     setProgress(0);
     setDuration(0);
   };
 
-  const setCurrentTime = (val) => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    audio.currentTime = val;
+  const setCurrentTime = useCallback((val) => {
+    engineRef.current.seek(val);
     setProgress(val);
+  }, []);
+
+  // Transport, whether it's this player's or the room's
+  const setPlayback = (on) => (room ? roomAction(on ? "play" : "pause") : setPlaying(on));
+  const togglePlay = () => (room ? roomAction("toggle") : setPlaying((p) => !p));
+  const seekTo = (time) => (room ? roomAction("seek", time) : setCurrentTime(time));
+
+  // What each command in ./commands does. Key presses and the OS media
+  // controls go through the ref, so their listeners are set up only once.
+  const commands = {
+    playPause: togglePlay,
+    next,
+    previous: prev,
+    seekForward: (step = SEEK_STEP) => seekTo(Math.min(duration, progress + step)),
+    seekBackward: (step = SEEK_STEP) => seekTo(Math.max(0, progress - step)),
+    volumeUp: () => {
+      setMuted(false);
+      setVolume((v) => Math.min(1, Math.round((v + VOLUME_STEP) * 100) / 100));
+    },
+    volumeDown: () => setVolume((v) => Math.max(0, Math.round((v - VOLUME_STEP) * 100) / 100)),
+    mute: () => setMuted((m) => !m),
+    shuffle: cycleShuffle,
+    repeat: cycleRepeat,
+    lyrics: () => setShowLyrics((s) => !s),
+    sound: () => setShowSound((s) => !s),
+    help: () => setShowHelp((s) => !s),
   };
+  const commandsRef = useRef(commands);
+  commandsRef.current = commands;
+
+  useEffect(() => {
+    const bindings = resolveBindings(shortcuts);
+    const onKey = (e) => {
+      if (e.defaultPrevented || isFieldTarget(e.target)) return;
+      const id = commandForCombo(bindings, keyCombo(e));
+      if (!id) return;
+      e.preventDefault();
+      commandsRef.current[id]();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [shortcuts]);
+
+  useEffect(() => setMediaMetadata(current), [current]);
+  useEffect(() => setMediaPosition(progress, duration, playing), [progress, duration, playing]);
+
+  // Remote control: this player is a device on the server's hub, reporting
+  // its state and running commands other devices send it
+  const remoteCommandsRef = useRef(null);
+  remoteCommandsRef.current = {
+    play: () => setPlayback(true),
+    pause: () => setPlayback(false),
+    toggle: togglePlay,
+    seek: (time) => seekTo(Math.max(0, Number(time) || 0)),
+    next,
+    previous: prev,
+    volume: (value) => {
+      setMuted(false);
+      setVolume(Math.min(1, Math.max(0, Number(value) || 0)));
+    },
+    // Hand the queue over to another device and stop here
+    transfer: (target) => {
+      remoteRef.current.command(target, "resume", snapshot(sessionRef.current));
+      setPlaying(false);
+    },
+    resume: (saved) =>
+      revive(saved)
+        .then(({ queue: q, progress: at }) => {
+          resumeAtRef.current = at || null;
+          setQueue(q);
+          setPlaying(true);
+        })
+        .catch((err) => console.error("Taking over playback failed", err)),
+  };
+
+  useEffect(() => {
+    const remote = connectDevices({
+      onDevices: setDevices,
+      onCommand: (command, value, from) => remoteCommandsRef.current[command]?.(value, from),
+      onRoom: (r) => {
+        setRoom(r);
+        setRoomError(null);
+      },
+      onRoomError: setRoomError,
+    });
+    remoteRef.current = remote;
+    return () => remote.close();
+  }, []);
+
+  // Media keys, lock screen and OS media controls, which like other devices
+  // go through the room when in one
+  useEffect(() => {
+    const run = (command, value) => remoteCommandsRef.current[command](value);
+    setMediaHandlers({
+      play: () => run("play"),
+      pause: () => run("pause"),
+      stop: () => {
+        run("pause");
+        run("seek", 0);
+      },
+      nexttrack: () => commandsRef.current.next(),
+      previoustrack: () => commandsRef.current.previous(),
+      seekforward: (d) => commandsRef.current.seekForward(d.seekOffset || SEEK_STEP),
+      seekbackward: (d) => commandsRef.current.seekBackward(d.seekOffset || SEEK_STEP),
+      seekto: (d) => run("seek", d.seekTime),
+    });
+  }, []);
+
+  // Rooms: the room's queue and timeline replace this player's own
+  useEffect(() => {
+    if (!room) return;
+    setQueue((q) => roomQueue(room, q));
+    setPlaying(room.timeline.playing);
+  }, [room]);
+
+  // Follow the room's timeline once the engine has the room's current
+  // track: jump when far off, otherwise play a touch faster or slower
+  const roomCurrentKey = room?.items[room.position]?.key;
+  const onRoomTrack = Boolean(room) && currentItem?.key === roomItemKey(roomCurrentKey);
+  useEffect(() => {
+    if (!onRoomTrack) return;
+    const engine = engineRef.current;
+    const { timeline } = room;
+    const sync = () => {
+      const target = roomPosition(timeline, remoteRef.current.serverNow());
+      const { seek, rate } = correction(target - engine.currentTime(), timeline.playing);
+      if (seek) setCurrentTime(target);
+      engine.setRate(rate);
+    };
+    sync();
+    const timer = setInterval(sync, ROOM_SYNC_INTERVAL);
+    return () => {
+      clearInterval(timer);
+      engine.setRate(1);
+    };
+  }, [room, onRoomTrack, setCurrentTime]);
+
+  // The host tells the room when a track ends, for tracks whose length the
+  // server doesn't know
+  trackEndedRef.current = isHost ? () => roomAction("ended", roomCurrentKey) : null;
+
+  const createRoom = () => {
+    const items = queue.items.filter((item) => item.track.remote);
+    const at = items.indexOf(currentItem);
+    remoteRef.current.createRoom({
+      queue: { ids: items.map((item) => item.track.id), position: Math.max(0, at) },
+      progress: at < 0 ? 0 : progress,
+      playing: at >= 0 && playing,
+    });
+  };
+
+  const joinRoom = (id) => {
+    setInvite(null);
+    remoteRef.current.joinRoom(id.trim().toUpperCase());
+  };
+
+  const leaveRoom = () => {
+    remoteRef.current.leaveRoom();
+    setRoom(null);
+    setPlaying(false);
+    // So a reload doesn't offer to join again
+    if (invitedRoom()) history.replaceState(null, "", location.pathname);
+  };
+
+  useEffect(() => {
+    remoteRef.current.report({
+      track: current && {
+        id: current.id,
+        title: current.meta?.title || current.name,
+        artist: current.meta?.artist || "",
+        album: current.meta?.album || "",
+        // Dropped files' blob: URLs mean nothing to other devices
+        artwork: current.remote ? current.meta?.thumbUrl || null : null,
+      },
+      position: progress,
+      duration,
+      playing,
+      volume,
+      muted,
+      queue: {
+        position: queue.position,
+        length: queue.items.length,
+        upNext: Queue.upNext(queue)
+          .slice(0, 5)
+          .map(({ track }) => track.meta?.title || track.name),
+      },
+    });
+  }, [current, progress, duration, playing, volume, muted, queue]);
+
+  const selfId = remoteRef.current?.id;
+  const controlled = devices.find((d) => d.id === controlling && d.id !== selfId) || null;
+
+  // Moves playback from the device in control (this one unless another is
+  // being controlled) to `target`, then controls the target
+  const transferTo = (target) => {
+    const source = controlled?.id || selfId;
+    if (target === source) return;
+    if (source === selfId) remoteCommandsRef.current.transfer(target);
+    else remoteRef.current.command(source, "transfer", target);
+    setControlling(target === selfId ? null : target);
+  };
+
+  const exportable = (
+    view === "queue"
+      ? queue.items.map((item) => item.track)
+      : view === "offline"
+      ? [...pinnedTracks(pins).values()]
+      : tracks
+  ).filter((t) => t.remote);
 
   const repeatLabel =
     repeatMode === "off"
@@ -299,6 +914,27 @@ export default function MusicPlayerApp() {
           <Music2 className="h-6 w-6" /> VaporPlayer
         </h1>
         <div className="header-actions">
+          {!online && (
+            <span className="scan-status warn" title="Only pinned music will play">
+              <WifiOff className="h-4 w-4" /> Offline
+            </span>
+          )}
+          {scan?.state === "scanning" && (
+            <span className="scan-status">
+              {scan.phase === "walking"
+                ? `Scanning… ${scan.found} found`
+                : `Reading tags ${scan.processed}/${scan.total}`}
+              {scan.errorCount > 0 && ` • ${scan.errorCount} skipped`}
+            </span>
+          )}
+          {scan?.state === "idle" && scan.errorCount > 0 && (
+            <span
+              className="scan-status warn"
+              title={scan.errors.map((e) => `${e.path}: ${e.error}`).join("\n")}
+            >
+              {scan.errorCount} files skipped
+            </span>
+          )}
           <button onClick={() => inputRef.current?.click()} className="btn">
             <Upload className="h-4 w-4" /> Add Folder
           </button>
@@ -312,9 +948,38 @@ export default function MusicPlayerApp() {
             onChange={onPick}
             className="hidden"
           />
+          <button onClick={rescan} className="btn-secondary" title="Rescan library">
+            <RefreshCw className="h-4 w-4" /> Rescan
+          </button>
           <button onClick={clearAll} className="btn-secondary">
             <Trash2 className="h-4 w-4" /> Clear
           </button>
+          <RoomMenu
+            room={room}
+            selfId={selfId}
+            invite={invite}
+            error={roomError}
+            onCreate={createRoom}
+            onJoin={joinRoom}
+            onLeave={leaveRoom}
+            onDismissInvite={() => setInvite(null)}
+          />
+          <DevicePicker
+            devices={devices}
+            selfId={selfId}
+            controlling={controlled?.id || null}
+            onControl={setControlling}
+            onTransfer={transferTo}
+            onRename={(name) => remoteRef.current.rename(name)}
+          />
+          <button
+            onClick={() => setShowHelp(true)}
+            className="btn-secondary"
+            title="Keyboard shortcuts (?)"
+          >
+            <Keyboard className="h-4 w-4" />
+          </button>
+          <AccountMenu user={user} onSignOut={onSignOut} onAuthChange={onAuthChange} />
         </div>
       </header>
 
@@ -325,103 +990,222 @@ export default function MusicPlayerApp() {
         onDrop={onDrop}
       >
         {/* Library Sidebar */}
-        <div className="library">
-          <div className="playlist-header">
-            <ListMusic className="h-4 w-4" />
-            <span>Library</span>
-          </div>
-          {Object.keys(library).length === 0 ? (
-            <p className="playlist-empty">No library loaded yet.</p>
-          ) : (
-            <ul>
-              {Object.keys(library).map((artist) => (
-                <li key={artist}>
-                  <div className="library-artist">{artist}</div>
-                  <ul>
-                    {Object.keys(library[artist]).map((album) => (
-                      <li key={album}>
-                        <div className="library-album">{album}</div>
-                        <ul>
-                          {library[artist][album].map((track) => (
-                            <li
-                              key={track.id}
-                              className="library-track"
-                              onClick={() => {
-                                const i = tracks.findIndex(
-                                  (t) => t.id === track.id
-                                );
-                                if (i >= 0) {
-                                  setIndex(i);
-                                  setPlaying(true);
-                                }
-                              }}
-                            >
-                              {track.meta?.title || track.name}
-                            </li>
-                          ))}
-                        </ul>
-                      </li>
-                    ))}
-                  </ul>
-                </li>
-              ))}
-            </ul>
-          )}
-        </div>
+        <LibrarySidebar
+          localLibrary={library}
+          currentId={current?.id}
+          onPlay={playTrack}
+          onPlayAll={playTracks}
+          playlists={playlists}
+          onPlaylistsChange={refreshPlaylists}
+          version={libraryVersion}
+          pins={pins}
+          pinning={pinning}
+          onPin={pin}
+          onUnpin={unpin}
+        />
 
         {/* Playlist */}
-        <div className="playlist">
+        <div className="playlist" onScroll={onPlaylistScroll}>
           <div className="playlist-header">
             <ListMusic className="h-4 w-4" />
-            <span>Playlist ({tracks.length})</span>
+            <span>
+              {view === "queue"
+                ? `Up Next (${Queue.upNext(queue).length})`
+                : view === "offline"
+                ? `Offline (${pins.length} pinned)`
+                : `Tracks (${tracks.length}${
+                    page.total > page.offset ? ` of ${page.total}` : ""
+                  })`}
+            </span>
+            <button
+              className="playlists-icon playlist-export"
+              title="Export as M3U8"
+              disabled={!exportable.length}
+              onClick={() =>
+                exportTracks(
+                  view === "queue"
+                    ? "VaporPlayer queue"
+                    : view === "offline"
+                    ? "VaporPlayer offline"
+                    : "VaporPlayer tracks",
+                  exportable.map((t) => t.id)
+                ).catch((err) => console.error("Export failed", err))
+              }
+            >
+              <Download className="h-4 w-4" />
+            </button>
+          </div>
+          <div className="library-tabs">
+            <button
+              className={`library-tab ${view === "tracks" ? "active" : ""}`}
+              onClick={() => setView("tracks")}
+            >
+              tracks
+            </button>
+            <button
+              className={`library-tab ${view === "queue" ? "active" : ""}`}
+              onClick={() => setView("queue")}
+            >
+              up next
+            </button>
+            <button
+              className={`library-tab ${view === "offline" ? "active" : ""}`}
+              onClick={() => setView("offline")}
+            >
+              offline
+            </button>
           </div>
-          {tracks.length === 0 ? (
-            <p className="playlist-empty">
-              Drop audio files here or use Add Folder.
-            </p>
+          {view === "queue" ? (
+            <QueuePanel
+              queue={queue}
+              onJump={(i) => {
+                if (room) return roomAction("jump", i);
+                setQueue((q) => Queue.jump(q, i));
+                setPlaying(true);
+              }}
+              onRemove={(i) =>
+                room
+                  ? roomAction("remove", queue.items[i]?.roomKey)
+                  : setQueue((q) => Queue.remove(q, i))
+              }
+              onMove={(from, to) =>
+                room ? roomAction("move", { from, to }) : setQueue((q) => Queue.move(q, from, to))
+              }
+              onClearUpcoming={() => (room ? roomAction("clear") : setQueue(Queue.clearUpcoming))}
+            />
+          ) : view === "offline" ? (
+            <OfflinePanel
+              pins={pins}
+              pinning={pinning}
+              online={online}
+              onPlayAll={playTracks}
+              onUnpin={unpin}
+            />
           ) : (
-            <ul>
-              {tracks.map((t, i) => (
-                <li
-                  key={t.id}
-                  className={`playlist-item ${i === index ? "active" : ""}`}
-                  onClick={() => {
-                    setIndex(i);
-                    setPlaying(true);
-                  }}
-                >
-                  <div className="playlist-thumb">
-                    {t.meta?.pictureUrl ? (
-                      <img src={t.meta.pictureUrl} alt="cover" />
-                    ) : (
-                      <Music2 className="h-5 w-5 opacity-60" />
-                    )}
-                  </div>
-                  <div className="playlist-info">
-                    <div className="playlist-title">
-                      {t.meta?.title || t.name}
-                    </div>
-                    <div className="playlist-artist">
-                      {t.meta?.artist || "Unknown Artist"}
-                    </div>
-                  </div>
+            <>
+              {selected.size > 0 && (
+                <div className="playlist-selection">
+                  <span>{selected.size} selected</span>
                   <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      removeTrack(t.id);
-                    }}
-                    className="btn-icon"
+                    className="playlists-icon"
+                    title="Play next"
+                    onClick={() => queueNext(tracks.filter((t) => selected.has(t.id)))}
                   >
-                    <Trash2 className="h-4 w-4" />
+                    <ListStart className="h-4 w-4" />
+                  </button>
+                  <button
+                    className="playlists-icon"
+                    title="Add to queue"
+                    onClick={() => queueLast(tracks.filter((t) => selected.has(t.id)))}
+                  >
+                    <ListEnd className="h-4 w-4" />
+                  </button>
+                  <AddToPlaylist
+                    playlists={playlists}
+                    trackIds={tracks
+                      .filter((t) => t.remote && selected.has(t.id))
+                      .map((t) => t.id)}
+                    onChange={() => {
+                      setSelected(new Set());
+                      refreshPlaylists();
+                    }}
+                  />
+                  <button className="playlists-icon" onClick={() => setSelected(new Set())}>
+                    Clear
                   </button>
-                </li>
-              ))}
-            </ul>
+                </div>
+              )}
+              <label className="playlist-search">
+                <Search className="h-4 w-4" />
+                <input
+                  type="search"
+                  placeholder="Search library"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                />
+              </label>
+              {tracks.length === 0 ? (
+                <p className="playlist-empty">
+                  Drop audio files here or use Add Folder.
+                </p>
+              ) : (
+                <ul>
+                  {tracks.map((t, i) => (
+                    <li
+                      key={t.id}
+                      className={`playlist-item ${t.id === current?.id ? "active" : ""} ${
+                        selected.has(t.id) ? "selected" : ""
+                      }`}
+                      onClick={(e) => {
+                        if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                          selectTrack(i, e.shiftKey);
+                          return;
+                        }
+                        playTrack(t, tracks);
+                      }}
+                    >
+                      <div className="playlist-thumb">
+                        {t.meta?.pictureUrl ? (
+                          <img src={t.meta.thumbUrl || t.meta.pictureUrl} alt="cover" />
+                        ) : (
+                          <Music2 className="h-5 w-5 opacity-60" />
+                        )}
+                      </div>
+                      <div className="playlist-info">
+                        <div className="playlist-title">
+                          {t.meta?.title || t.name}
+                        </div>
+                        <div className="playlist-artist">
+                          {t.meta?.artist || "Unknown Artist"}
+                        </div>
+                      </div>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          queueNext([t]);
+                        }}
+                        className="btn-icon playlist-queue-btn"
+                        title="Play next"
+                      >
+                        <ListStart className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          queueLast([t]);
+                        }}
+                        className="btn-icon playlist-queue-btn"
+                        title="Add to queue"
+                      >
+                        <ListEnd className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          removeTrack(t.id);
+                        }}
+                        className="btn-icon"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
           )}
         </div>
 
         {/* Now Playing */}
         <div className="now-playing">
+          {controlled && (
+            <RemoteControl
+              device={controlled}
+              onCommand={(command, value) => remoteRef.current.command(controlled.id, command, value)}
+              onClose={() => setControlling(null)}
+              formatTime={fmt}
+            />
+          )}
           <AnimatePresence mode="wait">
             {current ? (
               <motion.div
@@ -476,18 +1260,44 @@ export default function MusicPlayerApp() {
                       {current.quality}
                     </span>
                   )}
+                  {current.remote && (
+                    <AddToPlaylist
+                      playlists={playlists}
+                      trackIds={[current.id]}
+                      onChange={refreshPlaylists}
+                    />
+                  )}
                 </motion.div>
 
+                {/* Visualizer */}
+                <div className="visualizer-wrap">
+                  <Visualizer
+                    getAnalyser={getAnalyser}
+                    palette={palette}
+                    mode={visualizer}
+                    playing={playing}
+                  />
+                  <div className="visualizer-modes">
+                    {VISUALIZER_MODES.map((m) => (
+                      <button
+                        key={m}
+                        className={`library-tab ${visualizer === m ? "active" : ""}`}
+                        onClick={() => setVisualizer(m)}
+                      >
+                        {m}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
                 {/* Seekbar */}
                 <div className="seekbar">
-                  <input
-                    type="range"
-                    min={0}
-                    max={Math.max(1, duration)}
-                    step={0.1}
-                    value={progress}
-                    onChange={(e) => setCurrentTime(parseFloat(e.target.value))}
-                    style={{ "--progress": `${(progress / duration) * 100}%` }}
+                  <WaveformSeekbar
+                    track={current}
+                    progress={progress}
+                    duration={duration}
+                    onSeek={seekTo}
+                    formatTime={fmt}
                   />
                   <div className="seekbar-times">
                     <span>{fmt(progress)}</span>
@@ -498,14 +1308,17 @@ export default function MusicPlayerApp() {
                 {/* Controls */}
                 <div className="controls">
                   <button
-                    onClick={() => setShuffle((s) => !s)}
-                    title="Shuffle"
-                    className="btn-icon"
+                    onClick={cycleShuffle}
+                    title={SHUFFLE_LABELS[shuffle]}
+                    className={`btn-icon ${shuffle !== "off" ? "active" : ""}`}
                   >
                     <Shuffle className="h-5 w-5" />
+                    {(shuffle === "albums" || shuffle === "artists") && (
+                      <span className="mode-badge">{shuffle === "albums" ? "album" : "artist"}</span>
+                    )}
                   </button>
                   <button
-                    onClick={() => setIndex(prevIndex())}
+                    onClick={prev}
                     className="control-btn"
                   >
                     <SkipBack className="h-5 w-5" />
@@ -514,7 +1327,7 @@ export default function MusicPlayerApp() {
                     whileTap={{ scale: 0.85 }}
                     animate={{ scale: playing ? 1.1 : 1 }}
                     transition={{ type: "spring", stiffness: 300, damping: 15 }}
-                    onClick={() => setPlaying((p) => !p)}
+                    onClick={togglePlay}
                     className="control-btn primary"
                   >
                     {playing ? (
@@ -524,17 +1337,13 @@ export default function MusicPlayerApp() {
                     )}
                   </motion.button>
                   <button
-                    onClick={() => setIndex(nextIndex())}
+                    onClick={next}
                     className="control-btn"
                   >
                     <SkipForward className="h-5 w-5" />
                   </button>
                   <button
-                    onClick={() =>
-                      setRepeatMode((m) =>
-                        m === "off" ? "one" : m === "one" ? "all" : "off"
-                      )
-                    }
+                    onClick={cycleRepeat}
                     className="btn-icon"
                     title={repeatLabel}
                   >
@@ -564,7 +1373,44 @@ export default function MusicPlayerApp() {
                     className="volume-slider"
                     style={{ "--vol": `${(muted ? 0 : volume) * 100}%` }}
                   />
+                  <button
+                    onClick={() => setShowSound((s) => !s)}
+                    className={`btn-icon ${showSound ? "active" : ""}`}
+                    title="Sound settings"
+                  >
+                    <SlidersHorizontal className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => setShowLyrics((s) => !s)}
+                    className={`btn-icon ${showLyrics ? "active" : ""}`}
+                    title="Lyrics"
+                  >
+                    <MicVocal className="h-5 w-5" />
+                  </button>
                 </div>
+
+                {showLyrics && (
+                  <LyricsPane track={current} progress={progress} onSeek={seekTo} />
+                )}
+
+                {showSound && (
+                  <>
+                    <SoundSettings
+                      crossfade={crossfade}
+                      onCrossfadeChange={setCrossfade}
+                      replayGain={replayGain}
+                      onReplayGainChange={setReplayGain}
+                      appliedGain={replayGainFor(current, gainSettings)}
+                    />
+                    <Equalizer
+                      eq={eq}
+                      onChange={setEq}
+                      userPresets={eqPresets}
+                      onUserPresetsChange={setEqPresets}
+                      genres={current.meta?.genre}
+                    />
+                  </>
+                )}
               </motion.div>
             ) : (
               <motion.div
@@ -581,11 +1427,13 @@ export default function MusicPlayerApp() {
         </div>
       </div>
 
-      <audio
-  ref={audioRef}
-  src={tracks[index] ? `http://localhost:5174/api/stream/${tracks[index].id}` : ""}
-  controls
-/>
+      {showHelp && (
+        <ShortcutsHelp
+          overrides={shortcuts}
+          onChange={setShortcuts}
+          onClose={() => setShowHelp(false)}
+        />
+      )}
     </div>
   );
 }
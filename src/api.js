@@ -0,0 +1,142 @@
+import { loadSetting, saveSetting } from "./storage";
+
+// Base URL of the VaporPlayer server. Empty means same origin; in development
+// Vite proxies /api to the server (see vite.config.js).
+export const API_BASE = import.meta.env.VITE_API_BASE || "";
+
+export const apiUrl = (path) => `${API_BASE}${path}`;
+
+// Signed-in state, { token, user, media } (see server/auth.mjs). Kept in
+// localStorage so the player starts signed in, offline too.
+let auth = loadSetting("auth", null);
+const signedOutListeners = new Set();
+
+export const getAuth = () => auth;
+
+// The settings key for something of the signed-in account's, so accounts
+// sharing a browser each get their own
+export const userSetting = (key) => `${key}:${auth?.user?.id || ""}`;
+
+export function setAuth(next) {
+  auth = next;
+  saveSetting("auth", next);
+}
+
+// `fn` runs when the server stops accepting the token (it expired, or the
+// password was changed elsewhere); returns the unsubscribe function
+export function onSignedOut(fn) {
+  signedOutListeners.add(fn);
+  return () => signedOutListeners.delete(fn);
+}
+
+// fetch() for API paths, with the bearer token
+export const apiFetch = async (path, init = {}) => {
+  const headers = { ...init.headers, ...(auth && { Authorization: `Bearer ${auth.token}` }) };
+  const res = await fetch(apiUrl(path), { ...init, headers });
+  if (res.status === 401 && auth) for (const fn of signedOutListeners) fn();
+  return res;
+};
+
+// For what can't send headers (EventSource, WebSocket)
+export const withToken = (path) =>
+  auth ? `${path}${path.includes("?") ? "&" : "?"}token=${encodeURIComponent(auth.token)}` : path;
+
+export const getJson = (path) =>
+  apiFetch(path).then((res) => {
+    if (!res.ok) throw new Error(`${path}: ${res.status}`);
+    return res.json();
+  });
+
+// POST/PUT/DELETE with an optional JSON body; resolves to the parsed reply
+// (null for 204 No Content)
+export const sendJson = (path, method, body) =>
+  apiFetch(path, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  }).then(async (res) => {
+    if (!res.ok) throw new Error((await res.text()) || `${path}: ${res.status}`);
+    return res.status === 204 ? null : res.json();
+  });
+
+const PLAYLIST_FILE = /\.(m3u8?|pls)$/i;
+
+export const isPlaylistFile = (file) => PLAYLIST_FILE.test(file.name);
+
+// The server parses the file and matches its entries against the library
+export const importPlaylistFile = async (file) =>
+  sendJson("/api/playlists/import", "POST", {
+    filename: file.name,
+    content: await file.text(),
+  });
+
+// Imports playlist files one by one, telling the user about entries that
+// weren't found and files that couldn't be imported
+export async function importPlaylistFiles(files) {
+  for (const file of files) {
+    try {
+      const { playlist, unresolved } = await importPlaylistFile(file);
+      if (unresolved.length) {
+        window.alert(
+          `${playlist.name}: ${unresolved.length} entries not found in the library:\n\n` +
+            unresolved.slice(0, 20).join("\n")
+        );
+      }
+    } catch (err) {
+      window.alert(`Couldn't import ${file.name}: ${err.message}`);
+    }
+  }
+}
+
+// Exports come back as files; a link can't carry the token, so they're
+// fetched and handed to the browser as a download
+async function download(res, name) {
+  if (!res.ok) throw new Error(await res.text());
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(await res.blob());
+  a.download = `${name}.m3u8`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+export const exportTracks = async (name, trackIds) =>
+  download(
+    await apiFetch("/api/export", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, trackIds }),
+    }),
+    name
+  );
+
+export const exportPlaylist = async (id, name) =>
+  download(await apiFetch(`/api/playlists/${id}/export`), name);
+
+// Stream and artwork links carry the media grant, so <audio> and <img> can
+// use them as they are
+const mediaUrl = (path, params = {}) => {
+  const query = new URLSearchParams(params);
+  if (auth?.media) for (const [k, v] of Object.entries(auth.media)) query.set(k, v);
+  const search = query.toString();
+  return apiUrl(search ? `${path}?${search}` : path);
+};
+
+export const streamUrl = (id) => mediaUrl(`/api/stream/${id}`);
+
+export const artworkUrl = (id, size) => mediaUrl(`/api/artwork/${id}`, size ? { size } : {});
+
+// Where to play a track from. Built when needed rather than taken from
+// track.src, since a queue can outlive the grant its links were made with.
+export const sourceOf = (track) => (track.remote ? streamUrl(track.id) : track.src);
+
+// Give a track from /api/library the same shape as a dropped file
+export const fromServer = (t) => ({
+  ...t,
+  remote: true,
+  src: streamUrl(t.id),
+  meta: {
+    ...t.meta,
+    pictureUrl: t.hasPicture || t.folderImage ? artworkUrl(t.id, 512) : null,
+    thumbUrl: t.hasPicture || t.folderImage ? artworkUrl(t.id, 64) : null,
+  },
+});
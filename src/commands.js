@@ -0,0 +1,82 @@
+// Player commands and their keyboard bindings. The app supplies what each
+// command does; this module only knows ids, labels and keys, so the same
+// commands can be run from the keyboard, the Media Session or the UI.
+
+export const SEEK_STEP = 5;
+export const VOLUME_STEP = 0.05;
+
+export const COMMANDS = [
+  { id: "playPause", label: "Play / pause", keys: ["Space"] },
+  { id: "next", label: "Next track", keys: ["n"] },
+  { id: "previous", label: "Previous track", keys: ["p"] },
+  { id: "seekForward", label: `Forward ${SEEK_STEP}s`, keys: ["ArrowRight"] },
+  { id: "seekBackward", label: `Back ${SEEK_STEP}s`, keys: ["ArrowLeft"] },
+  { id: "volumeUp", label: "Volume up", keys: ["+", "="] },
+  { id: "volumeDown", label: "Volume down", keys: ["-"] },
+  { id: "mute", label: "Mute", keys: ["m"] },
+  { id: "shuffle", label: "Cycle shuffle", keys: ["s"] },
+  { id: "repeat", label: "Cycle repeat", keys: ["r"] },
+  { id: "lyrics", label: "Show lyrics", keys: ["l"] },
+  { id: "sound", label: "Sound settings", keys: ["e"] },
+  { id: "help", label: "Keyboard shortcuts", keys: ["?"] },
+];
+
+const KEY_LABELS = {
+  " ": "Space",
+  ArrowRight: "→",
+  ArrowLeft: "←",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+};
+
+// Keys that only pick a modifier can't be bindings on their own
+const MODIFIERS = new Set(["Shift", "Control", "Alt", "Meta", "AltGraph", "CapsLock"]);
+
+// "Ctrl+Shift+ArrowRight", "?", "Space"... Shift is only spelled out where
+// it doesn't already show in the key: "?" rather than "Shift+/", but
+// "Shift+n" and "Shift+ArrowLeft".
+export function keyCombo(e) {
+  if (MODIFIERS.has(e.key)) return null;
+  const key = e.key === " " ? "Space" : e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  const shifted = e.shiftKey && (e.key.length > 1 || e.key.toLowerCase() !== e.key.toUpperCase());
+  return [e.ctrlKey && "Ctrl", e.altKey && "Alt", e.metaKey && "Meta", shifted && "Shift", key]
+    .filter(Boolean)
+    .join("+");
+}
+
+export const comboLabel = (combo) =>
+  combo
+    .split(/\+(?!$)/)
+    .map((part) => KEY_LABELS[part] || (part.length === 1 ? part.toUpperCase() : part))
+    .join(" + ");
+
+// Defaults with the user's remapped commands laid over them. `overrides`
+// only holds the commands the user changed.
+export const resolveBindings = (overrides) =>
+  Object.fromEntries(COMMANDS.map((c) => [c.id, overrides[c.id] ?? c.keys]));
+
+export function commandForCombo(bindings, combo) {
+  return Object.keys(bindings).find((id) => bindings[id].includes(combo)) || null;
+}
+
+// Binds `combo` to `id`, taking it away from whichever command had it
+export function bind(overrides, id, combo) {
+  const bindings = resolveBindings(overrides);
+  const next = { ...overrides };
+  for (const other of Object.keys(bindings)) {
+    if (other !== id && bindings[other].includes(combo)) {
+      next[other] = bindings[other].filter((k) => k !== combo);
+    }
+  }
+  if (!bindings[id].includes(combo)) next[id] = [...bindings[id], combo];
+  return next;
+}
+
+export function unbind(overrides, id, combo) {
+  const keys = resolveBindings(overrides)[id].filter((k) => k !== combo);
+  return { ...overrides, [id]: keys };
+}
+
+// Keys pressed in a field (sliders included) belong to the field
+export const isFieldTarget = (el) =>
+  el?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName);
@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from "react";
+import { LogOut, Trash2, UserPlus, UserRound } from "lucide-react";
+import { getAuth, getJson, sendJson } from "../api";
+
+// The signed-in account: change its password, set the password Subsonic
+// apps use, sign out, and for admins, the other accounts on this server
+export default function AccountMenu({ user, onSignOut, onAuthChange }) {
+  const [open, setOpen] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!open || !user.admin) return;
+    getJson("/api/users")
+      .then(setUsers)
+      .catch((err) => setMessage({ error: true, text: err.message }));
+  }, [open, user.admin]);
+
+  // Runs `request`; forms are reset only when it worked
+  const submit = (e, request, done) => {
+    e.preventDefault();
+    const form = e.currentTarget;
+    setMessage(null);
+    request(new FormData(form))
+      .then((result) => {
+        form.reset();
+        done(result);
+      })
+      .catch((err) => setMessage({ error: true, text: err.message }));
+  };
+
+  const changePassword = (e) =>
+    submit(
+      e,
+      (data) =>
+        sendJson("/api/auth/password", "PUT", {
+          current: data.get("current"),
+          password: data.get("password"),
+        }),
+      (session) => {
+        onAuthChange(session);
+        setMessage({ text: "Password changed. Other devices will need to sign in again." });
+      }
+    );
+
+  const setSubsonic = (password) =>
+    sendJson("/api/auth/subsonic", "PUT", { password }).then((updated) => {
+      onAuthChange({ ...getAuth(), user: updated });
+      return updated;
+    });
+
+  const changeSubsonic = (e) =>
+    submit(
+      e,
+      (data) => setSubsonic(data.get("subsonic")),
+      () => setMessage({ text: "Subsonic apps can sign in at this server's address." })
+    );
+
+  const disableSubsonic = () => {
+    setMessage(null);
+    setSubsonic(null).catch((err) => setMessage({ error: true, text: err.message }));
+  };
+
+  const addUser = (e) =>
+    submit(
+      e,
+      (data) =>
+        sendJson("/api/users", "POST", {
+          username: data.get("username"),
+          password: data.get("password"),
+          admin: data.get("admin") === "on",
+        }),
+      (added) => setUsers((list) => [...list, added])
+    );
+
+  const removeUser = (u) => {
+    if (!window.confirm(`Delete ${u.username}? Their playlists go too.`)) return;
+    sendJson(`/api/users/${u.id}`, "DELETE")
+      .then(() => setUsers((list) => list.filter((other) => other.id !== u.id)))
+      .catch((err) => setMessage({ error: true, text: err.message }));
+  };
+
+  return (
+    <div className="devices">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="btn-icon"
+        title={`Signed in as ${user.username}`}
+      >
+        <UserRound className="h-5 w-5" />
+      </button>
+      {open && (
+        <div className="devices-menu room-menu account-menu">
+          <div className="room-header">
+            <span className="devices-name account-name">
+              {user.username}
+              {user.admin && " (admin)"}
+            </span>
+            <button onClick={onSignOut} className="playlists-icon" title="Sign out">
+              <LogOut className="h-4 w-4" />
+            </button>
+          </div>
+          <form onSubmit={changePassword} className="account-form">
+            <input
+              name="current"
+              type="password"
+              placeholder="Current password"
+              autoComplete="current-password"
+              required
+            />
+            <input
+              name="password"
+              type="password"
+              placeholder="New password"
+              autoComplete="new-password"
+              required
+            />
+            <button type="submit" className="btn-secondary">
+              Change password
+            </button>
+          </form>
+          <form onSubmit={changeSubsonic} className="account-form">
+            <input
+              name="subsonic"
+              type="password"
+              placeholder={user.subsonic ? "New Subsonic password" : "Subsonic password"}
+              autoComplete="new-password"
+              required
+            />
+            <button type="submit" className="btn-secondary">
+              {user.subsonic ? "Change Subsonic password" : "Allow Subsonic apps"}
+            </button>
+            {user.subsonic && (
+              <button type="button" onClick={disableSubsonic} className="btn-secondary">
+                Turn off Subsonic access
+              </button>
+            )}
+          </form>
+          {user.admin && (
+            <>
+              <ul>
+                {users.map((u) => (
+                  <li key={u.id} className="devices-item">
+                    <UserRound className="h-4 w-4" />
+                    <span className="devices-name account-name">
+                      {u.username}
+                      {u.admin && " (admin)"}
+                    </span>
+                    {u.id !== user.id && (
+                      <button
+                        className="playlists-icon"
+                        title={`Delete ${u.username}`}
+                        onClick={() => removeUser(u)}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              <form onSubmit={addUser} className="account-form">
+                <input name="username" placeholder="Username" autoComplete="off" required />
+                <input
+                  name="password"
+                  type="password"
+                  placeholder="Password"
+                  autoComplete="new-password"
+                  required
+                />
+                <label className="account-admin">
+                  <input name="admin" type="checkbox" /> Admin
+                </label>
+                <button type="submit" className="btn-secondary">
+                  <UserPlus className="h-4 w-4" /> Add account
+                </button>
+              </form>
+            </>
+          )}
+          {message && (
+            <p className={message.error ? "room-error" : "login-note"}>{message.text}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
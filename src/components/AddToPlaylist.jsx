@@ -0,0 +1,45 @@
+import React from "react";
+import { ListPlus } from "lucide-react";
+import { sendJson } from "../api";
+
+// Compact "add to playlist" picker; the last option creates a new playlist
+// from the given tracks. Playlist files in the library are read-only, so
+// they aren't offered.
+export default function AddToPlaylist({ playlists, trackIds, onChange, label }) {
+  const add = async (value) => {
+    if (!value || !trackIds.length) return;
+    try {
+      if (value === "new") {
+        const name = window.prompt("New playlist name");
+        if (!name?.trim()) return;
+        await sendJson("/api/playlists", "POST", { name, trackIds });
+      } else {
+        await sendJson(`/api/playlists/${value}/items`, "POST", { trackIds });
+      }
+      onChange?.();
+    } catch (err) {
+      window.alert(`Adding to playlist failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <label className="add-to-playlist" title="Add to playlist">
+      <ListPlus className="h-4 w-4" />
+      <select
+        value=""
+        disabled={!trackIds.length}
+        onChange={(e) => add(e.target.value)}
+      >
+        <option value="">{label || "Add to playlist"}</option>
+        {playlists
+          .filter((p) => !p.readOnly)
+          .map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        <option value="new">New playlist…</option>
+      </select>
+    </label>
+  );
+}
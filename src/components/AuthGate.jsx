@@ -0,0 +1,53 @@
+import React, { useCallback, useEffect, useState } from "react";
+import App from "../App";
+import { getAuth, getJson, onSignedOut, setAuth } from "../api";
+import { endSession } from "../session";
+import LoginPage from "./LoginPage";
+
+// The media grant lasts an hour (server/auth.mjs); renewing it every 15
+// minutes keeps new links good for at least 45. The engine retries links
+// that run out mid-track.
+const REFRESH_EVERY = 15 * 60 * 1000;
+
+// Shows the sign-in page until there's an account to play as. A saved
+// sign-in is trusted when the server can't be reached, so pinned music
+// still plays offline.
+export default function AuthGate() {
+  const [auth, setAuthState] = useState(getAuth);
+  const [setup, setSetup] = useState(false);
+
+  const signIn = useCallback((next) => {
+    setAuth(next);
+    setAuthState(next);
+  }, []);
+
+  const signOut = useCallback(() => {
+    // Before the sign-in goes: the session is kept under this user's id
+    endSession();
+    setAuth(null);
+    // Simplest way to drop everything that was running for this user
+    location.reload();
+  }, []);
+
+  useEffect(() => onSignedOut(signOut), [signOut]);
+
+  const signedIn = Boolean(auth);
+  useEffect(() => {
+    if (!signedIn) {
+      getJson("/api/auth/status")
+        .then((status) => setSetup(status.setup))
+        .catch(() => {});
+      return;
+    }
+    const refresh = () =>
+      getJson("/api/auth/me")
+        .then(({ user, media }) => signIn({ ...getAuth(), user, media }))
+        .catch(() => {});
+    refresh();
+    const timer = setInterval(refresh, REFRESH_EVERY);
+    return () => clearInterval(timer);
+  }, [signedIn, signIn]);
+
+  if (!auth) return <LoginPage setup={setup} onSignedIn={signIn} />;
+  return <App user={auth.user} onSignOut={signOut} onAuthChange={signIn} />;
+}
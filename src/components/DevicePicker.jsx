@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { ArrowRightLeft, Monitor, MonitorSpeaker, Pencil, Smartphone } from "lucide-react";
+
+// Devices on the hub, Spotify Connect style: pick one to control it, or
+// move whatever is playing over to it
+export default function DevicePicker({
+  devices,
+  selfId,
+  controlling,
+  onControl,
+  onTransfer,
+  onRename,
+}) {
+  const [open, setOpen] = useState(false);
+  const source = controlling || selfId;
+  const others = devices.filter((d) => d.id !== selfId);
+
+  return (
+    <div className="devices">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className={`btn-icon ${controlling ? "active" : ""}`}
+        title={others.length ? `Devices (${others.length} other)` : "Devices"}
+      >
+        <MonitorSpeaker className="h-5 w-5" />
+      </button>
+      {open && (
+        <div className="devices-menu">
+          {devices.length === 0 && <p className="playlist-empty">Not connected to the server.</p>}
+          <ul>
+            {devices.map((d) => {
+              const self = d.id === selfId;
+              const Icon = d.kind === "mobile" ? Smartphone : Monitor;
+              const track = d.state?.track;
+              const playing = track && d.state.playing ? "▶ " : "";
+              return (
+                <li
+                  key={d.id}
+                  className={`devices-item ${d.id === source ? "active" : ""}`}
+                  onClick={() => onControl(self ? null : d.id)}
+                  title={self ? "Control this device" : `Control ${d.name}`}
+                >
+                  <Icon className="h-4 w-4" />
+                  <div className="devices-info">
+                    <span className="devices-name">
+                      {d.name}
+                      {self && " (this device)"}
+                    </span>
+                    <span className="devices-track">
+                      {track
+                        ? `${playing}${track.title}${track.artist ? ` — ${track.artist}` : ""}`
+                        : "Nothing playing"}
+                    </span>
+                  </div>
+                  {self && (
+                    <button
+                      className="playlists-icon"
+                      title="Rename this device"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        const name = window.prompt("Device name", d.name);
+                        if (name !== null) onRename(name);
+                      }}
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                  )}
+                  {d.id !== source && (
+                    <button
+                      className="playlists-icon"
+                      title={`Move playback to ${self ? "this device" : d.name}`}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onTransfer(d.id);
+                      }}
+                    >
+                      <ArrowRightLeft className="h-4 w-4" />
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React from "react";
+import { Save, Trash2 } from "lucide-react";
+import { BUILTIN_PRESETS, EQ_BANDS, EQ_RANGE } from "../eq";
+
+const bandLabel = (hz) => (hz >= 1000 ? `${hz / 1000}k` : `${hz}`);
+
+// Graphic EQ: preset picker, on/off, pre-gain and one slider per band.
+// Moving a slider turns the settings into an unnamed custom curve.
+export default function Equalizer({ eq, onChange, userPresets, onUserPresetsChange, genres }) {
+  const set = (patch) => onChange({ ...eq, ...patch });
+  const presets = [...BUILTIN_PRESETS, ...userPresets];
+  const isUserPreset = userPresets.some((p) => p.name === eq.preset);
+  const genre = genres?.[0];
+
+  const choose = (name) => {
+    const preset = presets.find((p) => p.name === name);
+    if (preset) set({ preset: preset.name, preamp: preset.preamp, gains: preset.gains });
+  };
+
+  const save = () => {
+    const name = window.prompt("Preset name", isUserPreset ? eq.preset : "")?.trim();
+    if (!name) return;
+    if (BUILTIN_PRESETS.some((p) => p.name === name)) {
+      window.alert(`"${name}" is a built-in preset; pick another name.`);
+      return;
+    }
+    const preset = { name, preamp: eq.preamp, gains: eq.gains };
+    onUserPresetsChange([...userPresets.filter((p) => p.name !== name), preset]);
+    set({ preset: name });
+  };
+
+  const remove = () => {
+    onUserPresetsChange(userPresets.filter((p) => p.name !== eq.preset));
+    set({ preset: null });
+  };
+
+  return (
+    <div className={`equalizer ${eq.enabled ? "" : "bypassed"}`}>
+      <div className="sound-row">
+        <label className="equalizer-toggle">
+          <input
+            type="checkbox"
+            checked={eq.enabled}
+            onChange={(e) => set({ enabled: e.target.checked })}
+          />
+          <span>Equalizer</span>
+        </label>
+        <select value={eq.preset || ""} onChange={(e) => choose(e.target.value)}>
+          {!eq.preset && <option value="">Custom</option>}
+          <optgroup label="Presets">
+            {BUILTIN_PRESETS.map((p) => (
+              <option key={p.name}>{p.name}</option>
+            ))}
+          </optgroup>
+          {userPresets.length > 0 && (
+            <optgroup label="Saved">
+              {userPresets.map((p) => (
+                <option key={p.name}>{p.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <button className="playlists-icon" title="Save as preset" onClick={save}>
+          <Save className="h-4 w-4" />
+        </button>
+        {isUserPreset && (
+          <button className="playlists-icon" title="Delete preset" onClick={remove}>
+            <Trash2 className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="equalizer-bands">
+        <label className="equalizer-band" title="Pre-gain">
+          <span>{eq.preamp > 0 ? `+${eq.preamp}` : eq.preamp}</span>
+          <input
+            type="range"
+            min={-EQ_RANGE}
+            max={EQ_RANGE}
+            step={0.5}
+            value={eq.preamp}
+            onChange={(e) => set({ preamp: parseFloat(e.target.value), preset: null })}
+          />
+          <span>pre</span>
+        </label>
+        {EQ_BANDS.map((hz, i) => (
+          <label key={hz} className="equalizer-band">
+            <span>{eq.gains[i] > 0 ? `+${eq.gains[i]}` : eq.gains[i]}</span>
+            <input
+              type="range"
+              min={-EQ_RANGE}
+              max={EQ_RANGE}
+              step={0.5}
+              value={eq.gains[i]}
+              onChange={(e) => {
+                const gains = [...eq.gains];
+                gains[i] = parseFloat(e.target.value);
+                set({ gains, preset: null });
+              }}
+            />
+            <span>{bandLabel(hz)}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="sound-row">
+        <label className="equalizer-toggle">
+          <input
+            type="checkbox"
+            checked={eq.autoGenre}
+            onChange={(e) => set({ autoGenre: e.target.checked })}
+          />
+          <span>Switch preset by genre</span>
+        </label>
+        {genre && eq.preset && (
+          <button
+            className="playlists-icon sound-value"
+            title={`Always use ${eq.preset} for ${genre}`}
+            onClick={() =>
+              set({ genreMap: { ...eq.genreMap, [genre.toLowerCase()]: eq.preset } })
+            }
+          >
+            Use for {genre}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from "react";
+import { Folder, Play } from "lucide-react";
+import { fromServer, getJson } from "../api";
+
+const browse = (path, recursive = false) =>
+  getJson(
+    `/api/browse?path=${encodeURIComponent(path)}${recursive ? "&recursive=1" : ""}`
+  );
+
+// Drill through MUSIC_DIR as it is laid out on disk, for collections that
+// aren't (or can't be) organised by tags.
+export default function FolderBrowser({ currentId, onPlay, onPlayAll, version }) {
+  const [path, setPath] = useState("");
+  const [folder, setFolder] = useState(null);
+
+  useEffect(() => {
+    browse(path)
+      .then((data) => setFolder({ ...data, tracks: data.tracks.map(fromServer) }))
+      .catch((err) => {
+        console.warn(err);
+        // The folder went away (e.g. deleted on the NAS): back to the top
+        if (path) setPath("");
+      });
+  }, [path, version]);
+
+  const playFolder = (dir) => {
+    browse(dir, true)
+      .then((data) => onPlayAll(data.tracks.map(fromServer)))
+      .catch((err) => console.warn(err));
+  };
+
+  const crumbs = path ? path.split("/") : [];
+
+  return (
+    <div className="folder-browser">
+      <div className="folder-crumbs">
+        <button onClick={() => setPath("")}>Music</button>
+        {crumbs.map((name, i) => (
+          <React.Fragment key={i}>
+            <span>/</span>
+            <button onClick={() => setPath(crumbs.slice(0, i + 1).join("/"))}>{name}</button>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <button className="folder-play" onClick={() => playFolder(path)}>
+        <Play className="h-4 w-4" /> Play this folder
+      </button>
+
+      <ul>
+        {folder?.dirs.map((d) => (
+          <li key={d.path} className="folder-dir" onClick={() => setPath(d.path)}>
+            <Folder className="library-chevron" />
+            <span className="folder-name">{d.name}</span>
+            <span className="library-count">{d.trackCount}</span>
+            <button
+              className="folder-dir-play"
+              title="Play folder"
+              onClick={(e) => {
+                e.stopPropagation();
+                playFolder(d.path);
+              }}
+            >
+              <Play className="library-chevron" />
+            </button>
+          </li>
+        ))}
+        {folder?.tracks.map((t) => (
+          <li
+            key={t.id}
+            className={`library-track ${t.id === currentId ? "active" : ""}`}
+            onClick={() => onPlay(t, folder.tracks)}
+          >
+            {t.name}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
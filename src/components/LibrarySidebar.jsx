@@ -0,0 +1,288 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ChevronDown, ChevronRight, ListMusic, Play } from "lucide-react";
+import { fromServer, getJson } from "../api";
+import FolderBrowser from "./FolderBrowser";
+import PinButton from "./PinButton";
+import PlaylistsPanel from "./PlaylistsPanel";
+
+// Load a parent's albums or an album's tracks into a cache (a state setter)
+const fetchAlbums = (path, key, setCache) =>
+  getJson(path).then((data) => setCache((m) => ({ ...m, [key]: data.albums || data })));
+
+const fetchTracks = (id, setCache) =>
+  getJson(`/api/albums/${id}`).then((data) => {
+    const list = data.tracks.map(fromServer);
+    setCache((m) => ({ ...m, [id]: list }));
+    return list;
+  });
+
+const toggle = (set, key) => {
+  const next = new Set(set);
+  if (next.has(key)) next.delete(key);
+  else next.add(key);
+  return next;
+};
+
+const Chevron = ({ open }) =>
+  open ? <ChevronDown className="library-chevron" /> : <ChevronRight className="library-chevron" />;
+
+const PlayButton = ({ title, onClick }) => (
+  <button
+    className="folder-dir-play"
+    title={title}
+    onClick={(e) => {
+      e.stopPropagation();
+      onClick();
+    }}
+  >
+    <Play className="library-chevron" />
+  </button>
+);
+
+// Clicking a track plays it with the rest of its album queued after it
+function AlbumNode({
+  album,
+  open,
+  onToggle,
+  tracks,
+  currentId,
+  onPlay,
+  onPlayAlbum,
+  pinned,
+  pinProgress,
+  onPin,
+  onUnpin,
+}) {
+  return (
+    <li>
+      <div className="library-album" onClick={onToggle}>
+        <Chevron open={open} />
+        {album.name}
+        {album.year && <span className="library-year">{album.year}</span>}
+        <PlayButton title="Play album" onClick={onPlayAlbum} />
+        {onPin && (
+          <PinButton pinned={pinned} progress={pinProgress} onPin={onPin} onUnpin={onUnpin} />
+        )}
+      </div>
+      {open && (
+        <ul>
+          {(tracks || []).map((t) => (
+            <li
+              key={t.id}
+              className={`library-track ${t.id === currentId ? "active" : ""}`}
+              onClick={() => onPlay(t, tracks)}
+            >
+              {t.meta?.track ? `${t.meta.track}. ` : ""}
+              {t.meta?.title || t.name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+// Artist → album → track tree (or genre → album → track) fetched lazily
+// from the browse endpoints, plus the files dropped into this tab. The
+// folders tab mirrors MUSIC_DIR instead.
+export default function LibrarySidebar({
+  localLibrary,
+  currentId,
+  onPlay,
+  onPlayAll,
+  playlists,
+  onPlaylistsChange,
+  version,
+  pins,
+  pinning,
+  onPin,
+  onUnpin,
+}) {
+  const [tab, setTab] = useState("artists");
+  const [artists, setArtists] = useState([]);
+  const [genres, setGenres] = useState([]);
+  const [albumsByParent, setAlbumsByParent] = useState({});
+  const [albumTracks, setAlbumTracks] = useState({});
+  const [open, setOpen] = useState(new Set());
+  const openRef = useRef(open);
+  openRef.current = open;
+  // Where each artist's or genre's albums come from, to reload them
+  const parentPaths = useRef(new Map());
+
+  // `version` bumps whenever the server reports library changes. Cached
+  // albums and tracks may be stale then: drop them, reloading what's open.
+  useEffect(() => {
+    getJson("/api/artists").then(setArtists).catch((err) => console.warn(err));
+    getJson("/api/genres").then(setGenres).catch((err) => console.warn(err));
+    setAlbumsByParent({});
+    setAlbumTracks({});
+    for (const key of openRef.current) {
+      // Dropped files aren't on the server
+      if (key.startsWith("local:")) continue;
+      const path = parentPaths.current.get(key);
+      const reload = path
+        ? fetchAlbums(path, key, setAlbumsByParent)
+        : fetchTracks(key, setAlbumTracks);
+      // An album that's gone just stays empty
+      reload.catch(() => {});
+    }
+  }, [version]);
+
+  const openParent = (key, path) => {
+    setOpen((o) => toggle(o, key));
+    parentPaths.current.set(key, path);
+    if (!albumsByParent[key]) {
+      fetchAlbums(path, key, setAlbumsByParent).catch((err) => console.warn(err));
+    }
+  };
+
+  const loadAlbum = (album) =>
+    albumTracks[album.id]
+      ? Promise.resolve(albumTracks[album.id])
+      : fetchTracks(album.id, setAlbumTracks);
+
+  const openAlbum = (album) => {
+    setOpen((o) => toggle(o, album.id));
+    loadAlbum(album).catch((err) => console.warn(err));
+  };
+
+  const playAlbum = (album) =>
+    loadAlbum(album)
+      .then(onPlayAll)
+      .catch((err) => console.warn(err));
+
+  // Artist rows play the whole discography; genre rows just open
+  const playArtist = (id) =>
+    getJson(`/api/artists/${id}/tracks`)
+      .then((list) => onPlayAll(list.map(fromServer)))
+      .catch((err) => console.warn(err));
+
+  const renderAlbums = (key) => (
+    <ul>
+      {(albumsByParent[key] || []).map((album) => (
+        <AlbumNode
+          key={album.id}
+          album={album}
+          open={open.has(album.id)}
+          onToggle={() => openAlbum(album)}
+          tracks={albumTracks[album.id]}
+          currentId={currentId}
+          onPlay={onPlay}
+          onPlayAlbum={() => playAlbum(album)}
+          pinned={pins.some((p) => p.id === `album:${album.id}`)}
+          pinProgress={pinning[`album:${album.id}`]}
+          onPin={() =>
+            loadAlbum(album)
+              .then((list) => onPin(`album:${album.id}`, album.name, list))
+              .catch((err) => console.warn(err))
+          }
+          onUnpin={() => onUnpin(`album:${album.id}`)}
+        />
+      ))}
+    </ul>
+  );
+
+  const parents =
+    tab === "artists"
+      ? artists.map((a) => ({
+          key: `artist:${a.id}`,
+          artistId: a.id,
+          label: a.name,
+          count: a.albumCount,
+          path: `/api/artists/${a.id}`,
+        }))
+      : genres.map((g) => ({
+          key: `genre:${g.name}`,
+          label: g.name,
+          count: g.albumCount,
+          path: `/api/albums?genre=${encodeURIComponent(g.name)}`,
+        }));
+
+  return (
+    <div className="library">
+      <div className="playlist-header">
+        <ListMusic className="h-4 w-4" />
+        <span>Library</span>
+      </div>
+      <div className="library-tabs">
+        {["artists", "genres", "folders", "playlists"].map((t) => (
+          <button
+            key={t}
+            className={`library-tab ${tab === t ? "active" : ""}`}
+            onClick={() => setTab(t)}
+          >
+            {t}
+          </button>
+        ))}
+      </div>
+
+      {tab === "playlists" ? (
+        <PlaylistsPanel
+          playlists={playlists}
+          onChange={onPlaylistsChange}
+          currentId={currentId}
+          onPlay={onPlay}
+          onPlayAll={onPlayAll}
+          pins={pins}
+          pinning={pinning}
+          onPin={onPin}
+          onUnpin={onUnpin}
+        />
+      ) : tab === "folders" ? (
+        <FolderBrowser
+          currentId={currentId}
+          onPlay={onPlay}
+          onPlayAll={onPlayAll}
+          version={version}
+        />
+      ) : parents.length === 0 && Object.keys(localLibrary).length === 0 ? (
+        <p className="playlist-empty">No library loaded yet.</p>
+      ) : (
+        <ul>
+          {parents.map((p) => (
+            <li key={p.key}>
+              <div className="library-artist" onClick={() => openParent(p.key, p.path)}>
+                <Chevron open={open.has(p.key)} />
+                {p.label}
+                <span className="library-count">{p.count}</span>
+                {p.artistId && (
+                  <PlayButton title="Play artist" onClick={() => playArtist(p.artistId)} />
+                )}
+              </div>
+              {open.has(p.key) && renderAlbums(p.key)}
+            </li>
+          ))}
+
+          {Object.keys(localLibrary).map((artist) => (
+            <li key={`local:${artist}`}>
+              <div
+                className="library-artist"
+                onClick={() => setOpen((o) => toggle(o, `local:${artist}`))}
+              >
+                <Chevron open={open.has(`local:${artist}`)} />
+                {artist}
+                <span className="library-count">local</span>
+              </div>
+              {open.has(`local:${artist}`) && (
+                <ul>
+                  {Object.keys(localLibrary[artist]).map((album) => (
+                    <AlbumNode
+                      key={album}
+                      album={{ name: album }}
+                      open={open.has(`local:${artist}/${album}`)}
+                      onToggle={() => setOpen((o) => toggle(o, `local:${artist}/${album}`))}
+                      tracks={localLibrary[artist][album]}
+                      currentId={currentId}
+                      onPlay={onPlay}
+                      onPlayAlbum={() => onPlayAll(localLibrary[artist][album])}
+                    />
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+import { LogIn, Music2 } from "lucide-react";
+import { sendJson } from "../api";
+
+// Sign-in form. On a fresh server (`setup`) it creates the first account,
+// which is the admin.
+export default function LoginPage({ setup, onSignedIn }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (setup && password !== confirm) return setError("The passwords don't match");
+    setBusy(true);
+    setError(null);
+    sendJson(setup ? "/api/auth/setup" : "/api/auth/login", "POST", { username, password })
+      .then(onSignedIn)
+      .catch((err) => {
+        setError(err.message === "Failed to fetch" ? "Can't reach the server" : err.message);
+        setBusy(false);
+      });
+  };
+
+  return (
+    <div className="login">
+      <form className="login-card" onSubmit={submit}>
+        <h1 className="app-title">
+          <Music2 className="h-6 w-6" /> VaporPlayer
+        </h1>
+        {setup && (
+          <p className="login-note">
+            Create the first account. It's the admin, and can add accounts for everyone else.
+          </p>
+        )}
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          autoFocus
+          required
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete={setup ? "new-password" : "current-password"}
+          required
+        />
+        {setup && (
+          <input
+            type="password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            placeholder="Password again"
+            autoComplete="new-password"
+            required
+          />
+        )}
+        {error && <p className="room-error">{error}</p>}
+        <button type="submit" className="btn" disabled={busy}>
+          <LogIn className="h-4 w-4" /> {setup ? "Create account" : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
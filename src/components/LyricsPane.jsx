@@ -0,0 +1,94 @@
+import React, { useEffect, useRef, useState } from "react";
+import { getJson } from "../api";
+
+// After the user scrolls the pane themselves, leave it alone for a while
+const MANUAL_SCROLL_HOLD = 4000;
+
+// Index of the line being sung: the last one that has started
+function activeLine(lines, time) {
+  let active = -1;
+  for (let i = 0; i < lines.length && lines[i].time <= time; i++) active = i;
+  return active;
+}
+
+// Lyrics for library tracks. Synced lyrics follow playback karaoke-style
+// (current line highlighted and kept centred, click a line to seek there);
+// untimed ones are shown as plain text.
+export default function LyricsPane({ track, progress, onSeek }) {
+  const paneRef = useRef(null);
+  const lineRefs = useRef([]);
+  const manualScrollAt = useRef(0);
+  const [lyrics, setLyrics] = useState(null);
+  const [status, setStatus] = useState("idle");
+
+  useEffect(() => {
+    let cancelled = false;
+    setLyrics(null);
+    if (!track?.remote) {
+      setStatus("none");
+      return;
+    }
+    setStatus("loading");
+    getJson(`/api/lyrics/${track.id}`)
+      .then((l) => {
+        if (cancelled) return;
+        setLyrics(l);
+        setStatus("ready");
+      })
+      // 404 is the usual "this track has none"
+      .catch(() => !cancelled && setStatus("none"));
+    return () => {
+      cancelled = true;
+    };
+  }, [track]);
+
+  const active = lyrics?.synced ? activeLine(lyrics.lines, progress) : -1;
+
+  useEffect(() => {
+    const pane = paneRef.current;
+    const line = lineRefs.current[active];
+    if (!pane || !line || Date.now() - manualScrollAt.current < MANUAL_SCROLL_HOLD) return;
+    pane.scrollTo({
+      top: line.offsetTop - pane.clientHeight / 2 + line.offsetHeight / 2,
+      behavior: "smooth",
+    });
+  }, [active]);
+
+  const onManualScroll = () => {
+    manualScrollAt.current = Date.now();
+  };
+
+  if (status === "loading") return <div className="lyrics lyrics-empty">Loading lyrics…</div>;
+  if (status !== "ready") return <div className="lyrics lyrics-empty">No lyrics</div>;
+
+  if (!lyrics.synced) {
+    return (
+      <div className="lyrics" ref={paneRef}>
+        <p className="lyrics-plain">{lyrics.text}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="lyrics"
+      ref={paneRef}
+      onWheel={onManualScroll}
+      onTouchMove={onManualScroll}
+    >
+      {lyrics.lines.map((line, i) => (
+        <button
+          key={i}
+          ref={(el) => (lineRefs.current[i] = el)}
+          className={`lyrics-line ${i === active ? "active" : i < active ? "past" : ""}`}
+          onClick={() => {
+            manualScrollAt.current = 0;
+            onSeek(line.time);
+          }}
+        >
+          {line.text || "♪"}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from "react";
+import { HardDrive, Play, Trash2 } from "lucide-react";
+import { storageInfo } from "../offline";
+
+const formatBytes = (n) => {
+  if (!n) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(n) / Math.log(1024)));
+  return `${(n / 1024 ** i).toFixed(i > 1 ? 1 : 0)} ${units[i]}`;
+};
+
+// What's pinned for offline and how much room it takes, with the browser's
+// storage quota for this site
+export default function OfflinePanel({ pins, pinning, online, onPlayAll, onUnpin }) {
+  const [storage, setStorage] = useState(null);
+
+  useEffect(() => {
+    storageInfo()
+      .then(setStorage)
+      .catch((err) => console.warn("Storage estimate failed", err));
+  }, [pins]);
+
+  const pinnedBytes = pins.reduce((sum, p) => sum + (p.bytes || 0), 0);
+  const downloading = Object.entries(pinning);
+
+  return (
+    <div className="offline-panel">
+      {storage && (
+        <div className="offline-storage">
+          <div className="offline-storage-label">
+            <HardDrive className="h-4 w-4" />
+            <span>
+              {formatBytes(storage.usage)} of {formatBytes(storage.quota)} used
+            </span>
+          </div>
+          <div className="offline-storage-bar">
+            <span style={{ width: `${Math.min(100, (storage.usage / storage.quota) * 100)}%` }} />
+          </div>
+          <div className="offline-storage-note">
+            Pinned music: {formatBytes(pinnedBytes)}
+            {!storage.persisted && " • may be cleared by the browser when space runs low"}
+          </div>
+        </div>
+      )}
+
+      {downloading.map(([id, p]) => (
+        <div key={id} className="offline-pin downloading">
+          <span className="folder-name">{p.name}</span>
+          <span className="library-count">
+            {p.done}/{p.total}
+          </span>
+        </div>
+      ))}
+
+      {pins.length === 0 && downloading.length === 0 && (
+        <p className="playlist-empty">
+          {online
+            ? "Nothing pinned. Pin an album or playlist from the library to play it offline."
+            : "You're offline and nothing is pinned."}
+        </p>
+      )}
+
+      <ul>
+        {pins.map((p) => (
+          <li key={p.id} className="offline-pin">
+            <span className="folder-name" title={p.kind}>
+              {p.name}
+            </span>
+            <span className="library-count">
+              {p.tracks.length} • {formatBytes(p.bytes)}
+            </span>
+            <button className="playlists-icon" title="Play" onClick={() => onPlayAll(p.tracks)}>
+              <Play className="library-chevron" />
+            </button>
+            <button className="playlists-icon" title="Remove offline copy" onClick={() => onUnpin(p.id)}>
+              <Trash2 className="library-chevron" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React from "react";
+import { Pin } from "lucide-react";
+
+// Pin/unpin toggle for an album or playlist; shows the download count
+// while pinning is under way
+export default function PinButton({ pinned, progress, onPin, onUnpin }) {
+  if (progress) {
+    return (
+      <span className="pin-progress" title="Downloading for offline">
+        {progress.done}/{progress.total}
+      </span>
+    );
+  }
+  return (
+    <button
+      className={`folder-dir-play ${pinned ? "pinned" : ""}`}
+      title={pinned ? "Pinned for offline (click to remove)" : "Pin for offline"}
+      onClick={(e) => {
+        e.stopPropagation();
+        if (pinned) onUnpin();
+        else onPin();
+      }}
+    >
+      <Pin className="library-chevron" />
+    </button>
+  );
+}
@@ -0,0 +1,220 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  ArrowLeft,
+  Download,
+  FileMusic,
+  GripVertical,
+  Play,
+  Plus,
+  Trash2,
+  Upload,
+  X,
+} from "lucide-react";
+import { exportPlaylist, fromServer, getJson, importPlaylistFiles, sendJson } from "../api";
+import PinButton from "./PinButton";
+
+// Saved playlists: create, open, play, and reorder items by drag and drop.
+// Playlist files found in the music folder are listed too, read-only.
+export default function PlaylistsPanel({
+  playlists,
+  onChange,
+  currentId,
+  onPlay,
+  onPlayAll,
+  pins,
+  pinning,
+  onPin,
+  onUnpin,
+}) {
+  const [openId, setOpenId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [newName, setNewName] = useState("");
+  const [dragFrom, setDragFrom] = useState(null);
+  const fileRef = useRef(null);
+
+  // Reload the open playlist whenever the list changes (items added elsewhere)
+  useEffect(() => {
+    if (!openId) {
+      setDetail(null);
+      return;
+    }
+    getJson(`/api/playlists/${openId}`)
+      .then(setDetail)
+      .catch((err) => {
+        console.warn(err);
+        setOpenId(null);
+      });
+  }, [openId, playlists]);
+
+  const run = async (request) => {
+    try {
+      const updated = await request;
+      if (updated?.items) setDetail(updated);
+      onChange();
+    } catch (err) {
+      console.error("Playlist update failed", err);
+    }
+  };
+
+  const create = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    run(sendJson("/api/playlists", "POST", { name: newName }));
+    setNewName("");
+  };
+
+  const remove = (id) => {
+    if (!window.confirm("Delete this playlist?")) return;
+    if (id === openId) setOpenId(null);
+    run(sendJson(`/api/playlists/${id}`, "DELETE"));
+  };
+
+  const importFiles = async (files) => {
+    await importPlaylistFiles(files);
+    onChange();
+  };
+
+  const tracksOf = (d) => d.items.filter((i) => i.track).map((i) => fromServer(i.track));
+
+  const drop = (to) => {
+    if (dragFrom === null || dragFrom === to) return;
+    run(sendJson(`/api/playlists/${openId}/items/move`, "POST", { from: dragFrom, to }));
+    setDragFrom(null);
+  };
+
+  if (openId && detail) {
+    return (
+      <div className="playlists-panel">
+        <div className="playlists-title">
+          <button className="playlists-icon" onClick={() => setOpenId(null)} title="Back">
+            <ArrowLeft className="library-chevron" />
+          </button>
+          <span>{detail.name}</span>
+          <button
+            className="playlists-icon"
+            title="Play playlist"
+            onClick={() => onPlayAll(tracksOf(detail))}
+          >
+            <Play className="library-chevron" />
+          </button>
+          <PinButton
+            pinned={pins.some((p) => p.id === `playlist:${detail.id}`)}
+            progress={pinning[`playlist:${detail.id}`]}
+            onPin={() => onPin(`playlist:${detail.id}`, detail.name, tracksOf(detail))}
+            onUnpin={() => onUnpin(`playlist:${detail.id}`)}
+          />
+          <button
+            className="playlists-icon"
+            title="Export as M3U8"
+            onClick={() =>
+              exportPlaylist(detail.id, detail.name).catch((err) =>
+                console.error("Export failed", err)
+              )
+            }
+          >
+            <Download className="library-chevron" />
+          </button>
+        </div>
+        {detail.readOnly && (
+          <p className="playlists-note">
+            From {detail.file}
+            {detail.unresolved.length > 0 && ` • ${detail.unresolved.length} entries not found`}
+          </p>
+        )}
+        {detail.items.length === 0 && <p className="playlist-empty">This playlist is empty.</p>}
+        <ul>
+          {detail.items.map((item) => (
+            <li
+              key={item.position}
+              className={`playlists-item ${item.missing ? "missing" : ""} ${
+                item.track?.id === currentId ? "active" : ""
+              }`}
+              draggable={!detail.readOnly}
+              onDragStart={() => setDragFrom(item.position)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => drop(item.position)}
+              onClick={() => item.track && onPlay(fromServer(item.track), tracksOf(detail))}
+            >
+              {!detail.readOnly && <GripVertical className="library-chevron playlists-grip" />}
+              <span className="folder-name">
+                {item.missing
+                  ? "Missing track"
+                  : item.track.meta?.title || item.track.name}
+              </span>
+              {!detail.readOnly && (
+                <button
+                  className="playlists-icon"
+                  title="Remove from playlist"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    run(sendJson(`/api/playlists/${openId}/items/${item.position}`, "DELETE"));
+                  }}
+                >
+                  <X className="library-chevron" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  return (
+    <div className="playlists-panel">
+      <form className="playlists-new" onSubmit={create}>
+        <input
+          placeholder="New playlist"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+        />
+        <button type="submit" className="playlists-icon" title="Create playlist">
+          <Plus className="library-chevron" />
+        </button>
+        <button
+          type="button"
+          className="playlists-icon"
+          title="Import .m3u / .m3u8 / .pls"
+          onClick={() => fileRef.current?.click()}
+        >
+          <Upload className="library-chevron" />
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".m3u,.m3u8,.pls"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            importFiles([...e.target.files]);
+            e.target.value = "";
+          }}
+        />
+      </form>
+      {playlists.length === 0 && <p className="playlist-empty">No playlists yet.</p>}
+      <ul>
+        {playlists.map((p) => (
+          <li key={p.id} className="folder-dir" onClick={() => setOpenId(p.id)}>
+            {p.readOnly && <FileMusic className="library-chevron" />}
+            <span className="folder-name" title={p.file}>
+              {p.name}
+            </span>
+            <span className="library-count">{p.trackCount}</span>
+            {!p.readOnly && (
+              <button
+                className="playlists-icon"
+                title="Delete playlist"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  remove(p.id);
+                }}
+              >
+                <Trash2 className="library-chevron" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
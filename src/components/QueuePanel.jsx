@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { GripVertical, ListX, Music2, X } from "lucide-react";
+
+// The current track and what plays after it. Items are reordered by drag
+// and drop; indices passed back are positions in the whole queue.
+export default function QueuePanel({ queue, onJump, onRemove, onMove, onClearUpcoming }) {
+  const [dragFrom, setDragFrom] = useState(null);
+  const current = queue.items[queue.position];
+  const upcoming = queue.items
+    .map((item, i) => ({ item, i }))
+    .slice(queue.position + 1);
+
+  const drop = (to) => {
+    if (dragFrom !== null && dragFrom !== to) onMove(dragFrom, to);
+    setDragFrom(null);
+  };
+
+  if (!current) {
+    return <p className="playlist-empty">The queue is empty.</p>;
+  }
+
+  const row = (item, extra) => (
+    <>
+      <div className="playlist-thumb">
+        {item.track.meta?.pictureUrl ? (
+          <img src={item.track.meta.thumbUrl || item.track.meta.pictureUrl} alt="cover" />
+        ) : (
+          <Music2 className="h-5 w-5 opacity-60" />
+        )}
+      </div>
+      <div className="playlist-info">
+        <div className="playlist-title">{item.track.meta?.title || item.track.name}</div>
+        <div className="playlist-artist">{item.track.meta?.artist || "Unknown Artist"}</div>
+      </div>
+      {extra}
+    </>
+  );
+
+  return (
+    <div className="queue">
+      <div className="queue-heading">Now playing</div>
+      <div className="playlist-item active">{row(current)}</div>
+
+      <div className="queue-heading">
+        <span>Up next ({upcoming.length})</span>
+        {upcoming.length > 0 && (
+          <button className="playlists-icon" title="Clear upcoming" onClick={onClearUpcoming}>
+            <ListX className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+      {upcoming.length === 0 && <p className="playlist-empty">Nothing queued.</p>}
+      <ul>
+        {upcoming.map(({ item, i }) => (
+          <li
+            key={item.key}
+            className={`playlist-item ${dragFrom === i ? "dragging" : ""}`}
+            draggable
+            onDragStart={() => setDragFrom(i)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => drop(i)}
+            onDragEnd={() => setDragFrom(null)}
+            onClick={() => onJump(i)}
+          >
+            <GripVertical className="library-chevron playlists-grip" />
+            {row(
+              item,
+              <button
+                className="btn-icon"
+                title="Remove from queue"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onRemove(i);
+                }}
+              >
+                <X className="h-4 w-4" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
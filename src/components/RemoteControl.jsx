@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from "react";
+import { Music2, Pause, Play, SkipBack, SkipForward, X } from "lucide-react";
+import { positionOf } from "../remote";
+
+// Controls for another device, driven by the state it last reported. The
+// position is extrapolated between reports so the seekbar keeps moving.
+export default function RemoteControl({ device, onCommand, onClose, formatTime }) {
+  const state = device.state;
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!state?.playing) return;
+    const timer = setInterval(() => setNow(Date.now()), 500);
+    return () => clearInterval(timer);
+  }, [state?.playing]);
+
+  const position = state ? positionOf(state, device.receivedAt, now) : 0;
+  const duration = state?.duration || 0;
+  const volume = state?.muted ? 0 : state?.volume ?? 1;
+
+  return (
+    <div className="remote">
+      <div className="remote-header">
+        <span>Controlling {device.name}</span>
+        <button className="playlists-icon" title="Stop controlling" onClick={onClose}>
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+      <div className="remote-track">
+        {state?.track?.artwork ? (
+          <img src={state.track.artwork} alt="" />
+        ) : (
+          <Music2 className="h-6 w-6 opacity-60" />
+        )}
+        <div>
+          <div className="now-playing-title">{state?.track?.title || "Nothing playing"}</div>
+          <div className="now-playing-artist">{state?.track?.artist}</div>
+          {state?.queue?.upNext?.length > 0 && (
+            <div className="remote-next">Next: {state.queue.upNext[0]}</div>
+          )}
+        </div>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={Math.max(1, duration)}
+        step={0.1}
+        value={Math.min(position, duration)}
+        onChange={(e) => onCommand("seek", parseFloat(e.target.value))}
+        style={{ "--progress": `${duration ? (position / duration) * 100 : 0}%` }}
+      />
+      <div className="seekbar-times">
+        <span>{formatTime(position)}</span>
+        <span>{formatTime(duration)}</span>
+      </div>
+      <div className="controls">
+        <button className="control-btn" onClick={() => onCommand("previous")}>
+          <SkipBack className="h-5 w-5" />
+        </button>
+        <button className="control-btn primary" onClick={() => onCommand("toggle")}>
+          {state?.playing ? <Pause className="h-6 w-6" /> : <Play className="h-6 w-6" />}
+        </button>
+        <button className="control-btn" onClick={() => onCommand("next")}>
+          <SkipForward className="h-5 w-5" />
+        </button>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.01}
+        value={volume}
+        onChange={(e) => onCommand("volume", parseFloat(e.target.value))}
+        className="volume-slider"
+        style={{ "--vol": `${volume * 100}%` }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import { Check, Crown, Link, LogOut, Users, X } from "lucide-react";
+import { joinLink } from "../rooms";
+
+// Listening rooms: start one from what's playing, join one by code or link,
+// and see who's in it
+export default function RoomMenu({
+  room,
+  selfId,
+  invite,
+  error,
+  onCreate,
+  onJoin,
+  onLeave,
+  onDismissInvite,
+}) {
+  const [open, setOpen] = useState(false);
+  const [code, setCode] = useState("");
+  const [copied, setCopied] = useState(false);
+  const isHost = room?.hostId === selfId;
+
+  const copyLink = () => {
+    navigator.clipboard
+      .writeText(joinLink(room.id))
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      })
+      .catch(() => window.prompt("Join link", joinLink(room.id)));
+  };
+
+  const join = (e) => {
+    e.preventDefault();
+    if (code.trim()) onJoin(code);
+    setCode("");
+  };
+
+  return (
+    <div className="devices">
+      {invite && !room && (
+        <span className="room-invite">
+          <button onClick={() => onJoin(invite)} className="btn-secondary">
+            <Users className="h-4 w-4" /> Join room {invite}
+          </button>
+          <button onClick={onDismissInvite} className="playlists-icon" title="Not now">
+            <X className="h-4 w-4" />
+          </button>
+        </span>
+      )}
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className={`btn-icon ${room ? "active" : ""}`}
+        title={room ? `Room ${room.id} (${room.members.length} listening)` : "Listen together"}
+      >
+        <Users className="h-5 w-5" />
+      </button>
+      {open && (
+        <div className="devices-menu room-menu">
+          {room ? (
+            <>
+              <div className="room-header">
+                <span className="room-code">{room.id}</span>
+                <button onClick={copyLink} className="playlists-icon" title="Copy join link">
+                  {copied ? <Check className="h-4 w-4" /> : <Link className="h-4 w-4" />}
+                </button>
+                <button onClick={onLeave} className="playlists-icon" title="Leave room">
+                  <LogOut className="h-4 w-4" />
+                </button>
+              </div>
+              <ul>
+                {room.members.map((m) => (
+                  <li key={m.id} className="devices-item">
+                    {m.id === room.hostId ? (
+                      <Crown className="h-4 w-4" />
+                    ) : (
+                      <Users className="h-4 w-4" />
+                    )}
+                    <span className="devices-name">
+                      {m.name}
+                      {m.id === selfId && " (you)"}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <p className="playlist-empty">
+                {isHost
+                  ? "You're the host: playback follows you. Anyone can add to the queue."
+                  : "The host controls playback. You can add to the queue."}
+              </p>
+            </>
+          ) : (
+            <>
+              <p className="playlist-empty">
+                Listen together: everyone in a room hears the same queue, in step.
+              </p>
+              <button onClick={onCreate} className="btn-secondary room-start">
+                <Users className="h-4 w-4" /> Start a room from this queue
+              </button>
+              <form onSubmit={join} className="room-join">
+                <input
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="Room code"
+                  maxLength={6}
+                />
+                <button type="submit" className="btn-secondary">
+                  Join
+                </button>
+              </form>
+            </>
+          )}
+          {error && <p className="room-error">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
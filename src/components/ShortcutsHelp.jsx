@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from "react";
+import { Plus, RotateCcw, X } from "lucide-react";
+import { COMMANDS, bind, comboLabel, keyCombo, resolveBindings, unbind } from "../commands";
+
+// The `?` overlay: every command with its keys. Keys can be removed, and
+// "+" records the next key pressed as a new binding (Escape cancels).
+export default function ShortcutsHelp({ overrides, onChange, onClose }) {
+  const [recording, setRecording] = useState(null);
+  const bindings = resolveBindings(overrides);
+
+  useEffect(() => {
+    // Capture phase, so the app's own shortcuts don't fire meanwhile
+    const onKey = (e) => {
+      if (!recording) {
+        if (e.key === "Escape") onClose();
+        return;
+      }
+      const combo = keyCombo(e);
+      if (!combo) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (combo !== "Escape") onChange(bind(overrides, recording, combo));
+      setRecording(null);
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [recording, overrides, onChange, onClose]);
+
+  return (
+    <div className="shortcuts-backdrop" onClick={onClose}>
+      <div
+        className="shortcuts"
+        role="dialog"
+        aria-label="Keyboard shortcuts"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="shortcuts-header">
+          <span>Keyboard shortcuts</span>
+          <button
+            className="playlists-icon"
+            title="Reset to defaults"
+            disabled={!Object.keys(overrides).length}
+            onClick={() => onChange({})}
+          >
+            <RotateCcw className="h-4 w-4" />
+          </button>
+          <button className="playlists-icon" title="Close" onClick={onClose}>
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <ul className="shortcuts-list">
+          {COMMANDS.map((c) => (
+            <li key={c.id}>
+              <span className="shortcuts-label">{c.label}</span>
+              <span className="shortcuts-keys">
+                {bindings[c.id].map((combo) => (
+                  <kbd key={combo}>
+                    {comboLabel(combo)}
+                    <button
+                      title="Remove"
+                      onClick={() => onChange(unbind(overrides, c.id, combo))}
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </kbd>
+                ))}
+                {recording === c.id ? (
+                  <kbd className="recording">Press a key…</kbd>
+                ) : (
+                  <button
+                    className="playlists-icon"
+                    title="Add a key"
+                    onClick={() => setRecording(c.id)}
+                  >
+                    <Plus className="h-3 w-3" />
+                  </button>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React from "react";
+
+const RG_MODES = [
+  ["off", "Off"],
+  ["track", "Track"],
+  ["album", "Album"],
+  ["auto", "Auto"],
+];
+
+const fmtDb = (db) => `${db > 0 ? "+" : ""}${db.toFixed(1)} dB`;
+
+// Crossfade and loudness settings. `appliedGain` is the linear ReplayGain
+// gain on the current track, shown so it's clear what the settings do.
+export default function SoundSettings({
+  crossfade,
+  onCrossfadeChange,
+  replayGain,
+  onReplayGainChange,
+  appliedGain,
+}) {
+  const set = (patch) => onReplayGainChange({ ...replayGain, ...patch });
+
+  return (
+    <div className="sound-settings">
+      <label className="sound-row" title="Crossfade between tracks (never within an album)">
+        <span>Crossfade</span>
+        <input
+          type="range"
+          min={0}
+          max={12}
+          step={1}
+          value={crossfade}
+          onChange={(e) => onCrossfadeChange(parseInt(e.target.value, 10))}
+        />
+        <span className="sound-value">{crossfade ? `${crossfade}s` : "Off"}</span>
+      </label>
+
+      <div
+        className="sound-row"
+        title="Auto uses album gain unless the queue is shuffled track by track"
+      >
+        <span>ReplayGain</span>
+        <div className="sound-modes">
+          {RG_MODES.map(([mode, label]) => (
+            <button
+              key={mode}
+              className={`library-tab ${replayGain.mode === mode ? "active" : ""}`}
+              onClick={() => set({ mode })}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <label className="sound-row">
+        <span>Preamp</span>
+        <input
+          type="range"
+          min={-12}
+          max={12}
+          step={0.5}
+          value={replayGain.preamp}
+          disabled={replayGain.mode === "off"}
+          onChange={(e) => set({ preamp: parseFloat(e.target.value) })}
+        />
+        <span className="sound-value">{fmtDb(replayGain.preamp)}</span>
+      </label>
+
+      <label className="sound-row">
+        <input
+          type="checkbox"
+          checked={replayGain.preventClipping}
+          disabled={replayGain.mode === "off"}
+          onChange={(e) => set({ preventClipping: e.target.checked })}
+        />
+        <span>Prevent clipping</span>
+        {replayGain.mode !== "off" && (
+          <span className="sound-value">
+            {fmtDb(20 * Math.log10(appliedGain))} on this track
+          </span>
+        )}
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useEffect, useRef } from "react";
+
+const BAR_COUNT = 64;
+const FALLBACK_PALETTE = [
+  [37, 99, 235],
+  [96, 165, 250],
+  [147, 197, 253],
+];
+
+const rgb = ([r, g, b], alpha = 1) => `rgba(${r}, ${g}, ${b}, ${alpha})`;
+
+// Frequency bins grouped into bars on a log scale, so the bass doesn't get
+// one bar while the top octave gets half of them
+function barLevels(data, count) {
+  const levels = new Array(count);
+  const min = Math.log(2);
+  const max = Math.log(data.length);
+  for (let i = 0; i < count; i++) {
+    const from = Math.floor(Math.exp(min + ((max - min) * i) / count));
+    const to = Math.max(from + 1, Math.floor(Math.exp(min + ((max - min) * (i + 1)) / count)));
+    let peak = 0;
+    for (let j = from; j < to && j < data.length; j++) peak = Math.max(peak, data[j]);
+    levels[i] = peak / 255;
+  }
+  return levels;
+}
+
+function gradient(g, palette, x0, y0, x1, y1) {
+  const grad = g.createLinearGradient(x0, y0, x1, y1);
+  palette.forEach((c, i) => grad.addColorStop(i / Math.max(1, palette.length - 1), rgb(c)));
+  return grad;
+}
+
+function drawBars(g, analyser, w, h, palette) {
+  const data = new Uint8Array(analyser.frequencyBinCount);
+  analyser.getByteFrequencyData(data);
+  const levels = barLevels(data, BAR_COUNT);
+  const slot = w / BAR_COUNT;
+  g.fillStyle = gradient(g, palette, 0, h, 0, 0);
+  levels.forEach((level, i) => {
+    const bar = Math.max(2, level * h);
+    g.fillRect(i * slot + 1, h - bar, Math.max(1, slot - 2), bar);
+  });
+}
+
+function drawScope(g, analyser, w, h, palette) {
+  const data = new Uint8Array(analyser.fftSize);
+  analyser.getByteTimeDomainData(data);
+  g.lineWidth = 2 * (window.devicePixelRatio || 1);
+  g.strokeStyle = gradient(g, palette, 0, 0, w, 0);
+  g.beginPath();
+  for (let i = 0; i < data.length; i++) {
+    const x = (i / (data.length - 1)) * w;
+    const y = (data[i] / 255) * h;
+    if (i === 0) g.moveTo(x, y);
+    else g.lineTo(x, y);
+  }
+  g.stroke();
+}
+
+function drawRadial(g, analyser, w, h, palette) {
+  const data = new Uint8Array(analyser.frequencyBinCount);
+  analyser.getByteFrequencyData(data);
+  const levels = barLevels(data, BAR_COUNT);
+  const cx = w / 2;
+  const cy = h / 2;
+  const inner = Math.min(w, h) * 0.22;
+  const outer = Math.min(w, h) * 0.5 - inner;
+  g.lineWidth = Math.max(2, (2 * Math.PI * inner) / (BAR_COUNT * 2) / 1.5);
+  g.lineCap = "round";
+  // Mirrored, so the ring is symmetrical left to right
+  for (let i = 0; i < BAR_COUNT * 2; i++) {
+    const level = levels[i < BAR_COUNT ? i : BAR_COUNT * 2 - 1 - i];
+    const angle = (i / (BAR_COUNT * 2)) * Math.PI * 2 - Math.PI / 2;
+    const length = Math.max(2, level * outer);
+    g.strokeStyle = rgb(palette[Math.floor(level * (palette.length - 1))], 0.6 + level * 0.4);
+    g.beginPath();
+    g.moveTo(cx + Math.cos(angle) * inner, cy + Math.sin(angle) * inner);
+    g.lineTo(cx + Math.cos(angle) * (inner + length), cy + Math.sin(angle) * (inner + length));
+    g.stroke();
+  }
+}
+
+const DRAW = { bars: drawBars, scope: drawScope, radial: drawRadial };
+
+// Canvas visualizer fed by the engine's AnalyserNode and coloured with the
+// album palette. It only animates while playing and the tab is visible.
+export default function Visualizer({ getAnalyser, palette, mode, playing }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || mode === "off") return;
+    const g = canvas.getContext("2d");
+    const colors = palette?.length ? palette : FALLBACK_PALETTE;
+    let frame = null;
+
+    const draw = () => {
+      frame = requestAnimationFrame(draw);
+      const dpr = window.devicePixelRatio || 1;
+      const w = Math.round(canvas.clientWidth * dpr);
+      const h = Math.round(canvas.clientHeight * dpr);
+      if (canvas.width !== w || canvas.height !== h) {
+        canvas.width = w;
+        canvas.height = h;
+      }
+      g.clearRect(0, 0, w, h);
+      const analyser = getAnalyser();
+      if (analyser) DRAW[mode](g, analyser, w, h, colors);
+    };
+    const start = () => {
+      if (!frame && !document.hidden) frame = requestAnimationFrame(draw);
+    };
+    const stop = () => {
+      cancelAnimationFrame(frame);
+      frame = null;
+    };
+    const onVisibility = () => (document.hidden ? stop() : playing && start());
+
+    if (playing) start();
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      stop();
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [getAnalyser, palette, mode, playing]);
+
+  if (mode === "off") return null;
+  return <canvas ref={canvasRef} className={`visualizer visualizer-${mode}`} />;
+}
@@ -0,0 +1,97 @@
+import React, { useEffect, useRef, useState } from "react";
+import { getPeaks } from "../waveform";
+
+const KEY_STEP = 5;
+
+// Waveform seekbar: played part in the accent colour, the rest dimmed, and
+// the time under the pointer shown on hover. Until the peaks are ready (or
+// if they can't be computed) it's the plain range input.
+export default function WaveformSeekbar({ track, progress, duration, onSeek, formatTime }) {
+  const canvasRef = useRef(null);
+  const [peaks, setPeaks] = useState(null);
+  const [hover, setHover] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPeaks(null);
+    if (!track) return;
+    getPeaks(track)
+      .then((p) => !cancelled && setPeaks(p))
+      .catch((err) => console.warn("Waveform unavailable", track.name, err));
+    return () => {
+      cancelled = true;
+    };
+  }, [track]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !peaks) return;
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.round(canvas.clientWidth * dpr);
+    const h = Math.round(canvas.clientHeight * dpr);
+    canvas.width = w;
+    canvas.height = h;
+    const g = canvas.getContext("2d");
+    const played = duration ? progress / duration : 0;
+    const bar = w / peaks.length;
+
+    for (let i = 0; i < peaks.length; i++) {
+      const x = i * bar;
+      const at = (i + 0.5) / peaks.length;
+      const height = Math.max(dpr, (peaks[i] / 255) * h);
+      if (at <= played) g.fillStyle = "#60a5fa";
+      else if (hover !== null && at <= hover) g.fillStyle = "rgba(147, 197, 253, 0.55)";
+      else g.fillStyle = "rgba(255, 255, 255, 0.25)";
+      g.fillRect(x, (h - height) / 2, Math.max(1, bar - dpr), height);
+    }
+  }, [peaks, progress, duration, hover]);
+
+  if (!peaks) {
+    return (
+      <input
+        type="range"
+        min={0}
+        max={Math.max(1, duration)}
+        step={0.1}
+        value={progress}
+        onChange={(e) => onSeek(parseFloat(e.target.value))}
+        style={{ "--progress": `${(progress / duration) * 100}%` }}
+      />
+    );
+  }
+
+  const ratioAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+  };
+
+  return (
+    <div
+      className="waveform"
+      role="slider"
+      tabIndex={0}
+      aria-label="Seek"
+      aria-valuemin={0}
+      aria-valuemax={Math.round(duration)}
+      aria-valuenow={Math.round(progress)}
+      aria-valuetext={formatTime(progress)}
+      onMouseMove={(e) => setHover(ratioAt(e))}
+      onMouseLeave={() => setHover(null)}
+      onClick={(e) => duration && onSeek(ratioAt(e) * duration)}
+      onKeyDown={(e) => {
+        // Handled here, so the app's arrow-key shortcuts leave it be
+        if (e.key === "ArrowLeft") onSeek(Math.max(0, progress - KEY_STEP));
+        else if (e.key === "ArrowRight") onSeek(Math.min(duration, progress + KEY_STEP));
+        else return;
+        e.preventDefault();
+      }}
+    >
+      <canvas ref={canvasRef} />
+      {hover !== null && duration > 0 && (
+        <span className="waveform-hover" style={{ left: `${hover * 100}%` }}>
+          {formatTime(hover * duration)}
+        </span>
+      )}
+    </div>
+  );
+}
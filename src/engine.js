@@ -0,0 +1,327 @@
+// Playback engine: two <audio> decks feeding one Web Audio graph. The next
+// track is preloaded on the idle deck and started just before the current
+// one ends, overlapping it by the crossfade length, or butted right up
+// against it for gapless playback.
+//
+//   deck.audio → source → rg (ReplayGain) → gain (fades) ┐
+//   deck.audio → source → rg (ReplayGain) → gain (fades) ┴→ eqIn ┐
+//     eqIn → eqPre (EQ pre-gain) → 10 × BiquadFilter → master ┤ (EQ on)
+//     eqIn → master                                            ┘ (bypassed)
+//   master (volume) → out
+//   master → analyser (read by the visualizer)
+
+import { sourceOf } from "./api";
+import { EQ_BANDS, EQ_Q } from "./eq";
+
+// The element takes a moment to start producing sound; start that much early
+const GAPLESS_LEAD = 0.03;
+// Arm the transition timer once it's this close (timeupdate is too coarse)
+const SCHEDULE_AHEAD = 2;
+const CURVE_POINTS = 64;
+
+// Equal-power curves keep the summed loudness steady through the fade
+function equalPower(fadeIn) {
+  const curve = new Float32Array(CURVE_POINTS);
+  for (let i = 0; i < CURVE_POINTS; i++) {
+    const x = (i / (CURVE_POINTS - 1)) * (Math.PI / 2);
+    curve[i] = fadeIn ? Math.sin(x) : Math.cos(x);
+  }
+  return curve;
+}
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Linear gain for a track under the ReplayGain settings. "album" falls back
+// to the track gain and vice versa; untagged tracks only get the preamp.
+// With clipping prevention the gain never pushes the tagged peak above 1.
+export function replayGainFor(track, { mode, preamp, preventClipping }) {
+  const rg = track?.meta?.replayGain;
+  if (mode === "off") return 1;
+  if (!rg) return dbToGain(preamp);
+  const album = mode === "album";
+  const db = (album ? rg.albumGain ?? rg.trackGain : rg.trackGain ?? rg.albumGain) ?? 0;
+  const peak = album ? rg.albumPeak ?? rg.trackPeak : rg.trackPeak ?? rg.albumPeak;
+  const gain = dbToGain(db + preamp);
+  return preventClipping && peak > 0 ? Math.min(gain, 1 / peak) : gain;
+}
+
+// Items are queue items ({ key, track }); the key tells a replayed track
+// apart from the same track queued again.
+export function createEngine({ onTime, onDuration, onEnded, onAdvance }) {
+  let ctx = null;
+  let master = null;
+  let volume = 1;
+  let playing = false;
+  let active = 0;
+  let pending = null; // { item, fade }: what to play when the current one ends
+  let timer = null;
+  let fading = null; // { from, timer } while a crossfade runs
+  // `mode` here is already resolved: "off", "track" or "album"
+  let replayGain = { mode: "off", preamp: 0, preventClipping: true };
+  let eq = { enabled: false, preamp: 0, gains: EQ_BANDS.map(() => 0) };
+  let eqIn = null;
+  let eqPre = null;
+  let filters = [];
+  let analyser = null;
+
+  function makeDeck() {
+    const audio = new Audio();
+    audio.crossOrigin = "anonymous";
+    audio.preload = "auto";
+    const deck = { audio, item: null, source: null, rg: null, gain: null, retried: null };
+    const isActive = () => deck === decks[active];
+
+    audio.addEventListener("timeupdate", () => {
+      if (!isActive()) return;
+      onTime(audio.currentTime);
+      schedule();
+    });
+    audio.addEventListener("loadedmetadata", () => {
+      if (isActive()) onDuration(audio.duration || 0);
+    });
+    audio.addEventListener("ended", () => {
+      if (!isActive()) return;
+      // Durations the timer couldn't plan around (e.g. unknown length)
+      if (pending) transition();
+      else onEnded();
+    });
+    // A library link fails once its media grant runs out (a long track, or
+    // one paused for a while): try once more with a fresh link, from where
+    // it was. `retried` clears when the track plays again.
+    audio.addEventListener("canplay", () => {
+      deck.retried = null;
+    });
+    audio.addEventListener("error", () => {
+      const { item } = deck;
+      if (!item) return;
+      if (item.track.remote && deck.retried !== item.key) {
+        deck.retried = item.key;
+        const at = audio.currentTime;
+        audio.src = sourceOf(item.track);
+        audio.currentTime = at;
+        if (isActive() && playing) audio.play().catch(() => {});
+        return;
+      }
+      console.warn("Playback failed", item.track.name, audio.error);
+    });
+    return deck;
+  }
+
+  const decks = [makeDeck(), makeDeck()];
+  const idle = () => decks[1 - active];
+
+  // Web Audio can only start after a user gesture, so the graph is built on
+  // the first play()
+  function ensureGraph() {
+    if (ctx) return;
+    ctx = new AudioContext();
+    master = ctx.createGain();
+    master.gain.value = volume;
+    master.connect(ctx.destination);
+    analyser = ctx.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = 0.8;
+    master.connect(analyser);
+
+    eqIn = ctx.createGain();
+    eqPre = ctx.createGain();
+    filters = EQ_BANDS.map((frequency, i) => {
+      const filter = ctx.createBiquadFilter();
+      filter.type = i === 0 ? "lowshelf" : i === EQ_BANDS.length - 1 ? "highshelf" : "peaking";
+      filter.frequency.value = frequency;
+      filter.Q.value = EQ_Q;
+      return filter;
+    });
+    [eqPre, ...filters].reduce((from, to) => from.connect(to)).connect(master);
+    applyEq();
+
+    for (const deck of decks) {
+      deck.source = ctx.createMediaElementSource(deck.audio);
+      deck.rg = ctx.createGain();
+      deck.gain = ctx.createGain();
+      deck.source.connect(deck.rg).connect(deck.gain).connect(eqIn);
+      applyReplayGain(deck, true);
+    }
+  }
+
+  // Jump straight to the new track's level, or glide when settings change
+  // under a playing track
+  function applyReplayGain(deck, immediate) {
+    if (!deck.rg) return;
+    const value = replayGainFor(deck.item?.track, replayGain);
+    deck.rg.gain.cancelScheduledValues(ctx.currentTime);
+    if (immediate) deck.rg.gain.setValueAtTime(value, ctx.currentTime);
+    else deck.rg.gain.setTargetAtTime(value, ctx.currentTime, 0.05);
+  }
+
+  // Bypass takes the filters out of the path altogether
+  function applyEq() {
+    if (!eqIn) return;
+    eqIn.disconnect();
+    eqIn.connect(eq.enabled ? eqPre : master);
+    const now = ctx.currentTime;
+    eqPre.gain.setTargetAtTime(dbToGain(eq.preamp), now, 0.02);
+    filters.forEach((filter, i) => filter.gain.setTargetAtTime(eq.gains[i] || 0, now, 0.02));
+  }
+
+  function setGain(deck, value) {
+    if (!deck.gain) return;
+    deck.gain.gain.cancelScheduledValues(ctx.currentTime);
+    deck.gain.gain.setValueAtTime(value, ctx.currentTime);
+  }
+
+  function setSource(deck, item) {
+    deck.item = item;
+    applyReplayGain(deck, true);
+    if (item) {
+      deck.audio.src = sourceOf(item.track);
+      deck.audio.load();
+    } else {
+      deck.audio.removeAttribute("src");
+      deck.audio.load();
+    }
+  }
+
+  // Cut a running crossfade short: the outgoing deck stops, the incoming
+  // one goes to full level
+  function finishFade() {
+    if (!fading) return;
+    clearTimeout(fading.timer);
+    fading.from.audio.pause();
+    setGain(fading.from, 1);
+    setGain(decks[active], 1);
+    fading = null;
+    // A preload that arrived mid-fade had to wait for this deck
+    if (pending && idle().item?.key !== pending.item.key) setSource(idle(), pending.item);
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (!playing || !pending || fading) return;
+    const audio = decks[active].audio;
+    if (!isFinite(audio.duration)) return;
+    const fade = Math.min(pending.fade, audio.duration / 2);
+    const lead = fade > 0 ? fade : GAPLESS_LEAD;
+    const remaining = (audio.duration - audio.currentTime) / audio.playbackRate;
+    if (remaining - lead > SCHEDULE_AHEAD) return;
+    timer = setTimeout(transition, Math.max(0, (remaining - lead) * 1000));
+  }
+
+  function transition() {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+    const { item } = pending;
+    const fade = Math.min(pending.fade, decks[active].audio.duration / 2 || 0);
+    const from = decks[active];
+    // Repeating one track: it follows itself again next time round
+    if (from.item?.key !== item.key) pending = null;
+
+    const to = idle();
+    if (to.item?.key !== item.key) setSource(to, item);
+    to.audio.currentTime = 0;
+    active = 1 - active;
+
+    if (fade > 0 && ctx) {
+      const now = ctx.currentTime;
+      to.gain.gain.cancelScheduledValues(now);
+      from.gain.gain.cancelScheduledValues(now);
+      to.gain.gain.setValueCurveAtTime(equalPower(true), now, fade);
+      from.gain.gain.setValueCurveAtTime(equalPower(false), now, fade);
+      fading = { from, timer: setTimeout(finishFade, fade * 1000 + 50) };
+    } else {
+      // Gapless: the old deck plays out its last few ms underneath
+      setGain(to, 1);
+    }
+    to.audio.play().catch((err) => console.warn("Playback failed", err));
+    onDuration(to.audio.duration || 0);
+    onTime(0);
+    onAdvance(item);
+  }
+
+  return {
+    // Make `item` the current track. Already current: nothing to do;
+    // preloaded: switch decks; otherwise load it on the active deck.
+    load(item) {
+      if (decks[active].item?.key === item?.key) return;
+      finishFade();
+      clearTimeout(timer);
+      const from = decks[active];
+      if (item && idle().item?.key === item.key) {
+        from.audio.pause();
+        active = 1 - active;
+        if (pending?.item.key === item.key) pending = null;
+      } else {
+        from.audio.pause();
+        setSource(from, item);
+      }
+      const deck = decks[active];
+      deck.audio.currentTime = 0;
+      if (ctx) setGain(deck, 1);
+      onDuration(deck.audio.duration || 0);
+      onTime(0);
+      if (playing && item) deck.audio.play().catch((err) => console.warn("Playback failed", err));
+    },
+
+    // What follows the current track, and how long to crossfade into it
+    preload(item, fade = 0) {
+      pending = item ? { item, fade } : null;
+      if (item && !fading && idle().item?.key !== item.key) setSource(idle(), item);
+      schedule();
+    },
+
+    play() {
+      playing = true;
+      ensureGraph();
+      ctx.resume();
+      if (decks[active].item) {
+        decks[active].audio.play().catch((err) => console.warn("Playback failed", err));
+      }
+      schedule();
+    },
+
+    pause() {
+      playing = false;
+      clearTimeout(timer);
+      finishFade();
+      decks[active].audio.pause();
+    },
+
+    seek(time) {
+      decks[active].audio.currentTime = time;
+      schedule();
+    },
+
+    currentTime() {
+      return decks[active].audio.currentTime;
+    },
+
+    // Slightly faster or slower to catch up with a room's timeline; the
+    // elements keep the pitch
+    setRate(rate) {
+      for (const deck of decks) deck.audio.playbackRate = rate;
+      schedule();
+    },
+
+    setVolume(value) {
+      volume = value;
+      if (master) master.gain.setTargetAtTime(value, ctx.currentTime, 0.01);
+    },
+
+    // null until playback has started once
+    getAnalyser() {
+      return analyser;
+    },
+
+    setEq({ enabled, preamp, gains }) {
+      eq = { enabled, preamp, gains };
+      applyEq();
+    },
+
+    setReplayGain(settings) {
+      replayGain = settings;
+      for (const deck of decks) applyReplayGain(deck, false);
+    },
+  };
+}
@@ -0,0 +1,44 @@
+// 10-band graphic EQ on the octave centres, with shelving filters at both
+// ends. Gains are in dB within ±EQ_RANGE.
+export const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const EQ_RANGE = 12;
+// About one octave wide, so neighbouring bands overlap smoothly
+export const EQ_Q = 1.41;
+
+const flat = EQ_BANDS.map(() => 0);
+
+export const BUILTIN_PRESETS = [
+  { name: "Flat", preamp: 0, gains: flat },
+  { name: "Rock", preamp: -4, gains: [5, 4, 3, 1, -1, -1, 1, 3, 4, 5] },
+  { name: "Pop", preamp: -3, gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+  { name: "Jazz", preamp: -3, gains: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+  { name: "Classical", preamp: -3, gains: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4] },
+  { name: "Electronic", preamp: -5, gains: [6, 5, 2, 0, -2, 1, 0, 2, 4, 5] },
+  { name: "Hip-Hop", preamp: -5, gains: [6, 5, 2, 3, -1, -1, 1, -1, 2, 3] },
+  { name: "Vocal", preamp: -3, gains: [-2, -3, -2, 1, 3, 4, 3, 1, 0, -2] },
+  { name: "Bass Boost", preamp: -6, gains: [7, 6, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { name: "Treble Boost", preamp: -6, gains: [0, 0, 0, 0, 0, 1, 2, 4, 6, 7] },
+];
+
+// `preset` is the name of the preset the gains came from, null once edited.
+// `genreMap` maps lower-cased genre tags to preset names.
+export const DEFAULT_EQ = {
+  enabled: false,
+  preset: "Flat",
+  preamp: 0,
+  gains: flat,
+  autoGenre: false,
+  genreMap: {},
+};
+
+// The preset for a track's genres: an explicit mapping wins, then a preset
+// named after the genre ("Jazz" → Jazz)
+export function presetForGenres(genres, presets, genreMap) {
+  for (const genre of genres || []) {
+    const key = genre.toLowerCase();
+    const name = genreMap[key] || presets.find((p) => p.name.toLowerCase() === key)?.name;
+    const preset = name && presets.find((p) => p.name === name);
+    if (preset) return preset;
+  }
+  return null;
+}
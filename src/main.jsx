@@ -2,10 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import './player.css'
-import App from './App.jsx'
+import AuthGate from './components/AuthGate.jsx'
+import { registerServiceWorker } from './offline'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <AuthGate />
   </StrictMode>,
 )
+
+registerServiceWorker()
@@ -0,0 +1,74 @@
+import { artworkUrl } from "./api";
+
+// Lock-screen / OS media controls. Everything is a no-op where the Media
+// Session API isn't available.
+
+const supported = () => "mediaSession" in navigator;
+
+const ARTWORK_SIZES = [128, 256, 512];
+
+function artworkFor(track) {
+  if (!track.meta?.pictureUrl) return [];
+  // Library covers come in sizes; the OS picks what suits it
+  if (track.remote) {
+    return ARTWORK_SIZES.map((size) => ({
+      src: new URL(artworkUrl(track.id, size), location.href).href,
+      sizes: `${size}x${size}`,
+    }));
+  }
+  return [{ src: track.meta.pictureUrl }];
+}
+
+export function setMediaMetadata(track) {
+  if (!supported()) return;
+  navigator.mediaSession.metadata = track
+    ? new window.MediaMetadata({
+        title: track.meta?.title || track.name || "Untitled",
+        artist: track.meta?.artist || "",
+        album: track.meta?.album || "",
+        artwork: artworkFor(track),
+      })
+    : null;
+}
+
+// `handlers` maps Media Session actions to callbacks; browsers throw for
+// actions they don't know, which just leaves those out
+export function setMediaHandlers(handlers) {
+  if (!supported()) return;
+  for (const [action, handler] of Object.entries(handlers)) {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch {
+      // unsupported action
+    }
+  }
+}
+
+// The OS extrapolates from the last position it was given, so it only
+// needs telling when that guess goes wrong: play/pause, seeks, new tracks
+const DRIFT = 1.5;
+let reported = null;
+
+export function setMediaPosition(position, duration, playing) {
+  if (!supported()) return;
+  const session = navigator.mediaSession;
+  if (reported && reported.duration === duration && reported.playing === playing) {
+    const elapsed = playing ? (performance.now() - reported.at) / 1000 : 0;
+    if (Math.abs(reported.position + elapsed - position) < DRIFT) return;
+  }
+  reported = { position, duration, playing, at: performance.now() };
+
+  session.playbackState = playing ? "playing" : "paused";
+  if (!session.setPositionState) return;
+  try {
+    // No arguments clears it, e.g. while the duration isn't known yet
+    if (!isFinite(duration) || duration <= 0) return session.setPositionState();
+    session.setPositionState({
+      duration,
+      playbackRate: 1,
+      position: Math.min(Math.max(0, position), duration),
+    });
+  } catch (err) {
+    console.warn("Media position update failed", err);
+  }
+}
@@ -0,0 +1,106 @@
+import { artworkUrl, streamUrl, userSetting } from "./api";
+import { loadSetting, saveSetting } from "./storage";
+
+// Offline playback. Pinning an album or playlist downloads its streams and
+// covers into Cache Storage, where the service worker (public/sw.js) answers
+// from first. The pins themselves, with their track records so they can be
+// listed and played without the server, are kept in localStorage, per account.
+
+// Must match PINNED_CACHE in public/sw.js. Each account gets its own cache,
+// "vaporplayer-pinned:<user id>", which the worker picks by the u of the
+// media grant, so no one else signed in here (or no one) can play it.
+const PINNED_CACHE = "vaporplayer-pinned";
+const openPinned = () => caches.open(userSetting(PINNED_CACHE));
+// Media links are signed per grant (see api.js); the cache keys leave the
+// signature out so pins survive a new grant. Must match cacheKey in sw.js.
+const GRANT_PARAMS = ["u", "exp", "sig"];
+
+const cacheKey = (url) => {
+  const key = new URL(url, location.href);
+  for (const param of GRANT_PARAMS) key.searchParams.delete(param);
+  return key.href;
+};
+
+export function registerServiceWorker() {
+  // A worker caching the dev server's modules would fight with HMR
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("/sw.js")
+      .catch((err) => console.warn("Service worker registration failed", err));
+  });
+}
+
+export const loadPins = () => loadSetting(userSetting("pins"), []);
+
+export const pinnedTracks = (pins) => {
+  const byId = new Map();
+  for (const pin of pins) for (const t of pin.tracks) byId.set(t.id, t);
+  return byId;
+};
+
+const hasArtwork = (track) => Boolean(track.meta?.pictureUrl);
+
+// The sizes the UI asks for: now playing (512) and lists (64)
+const urlsFor = (track) => [
+  streamUrl(track.id),
+  ...(hasArtwork(track) ? [artworkUrl(track.id, 512), artworkUrl(track.id, 64)] : []),
+];
+
+// Downloads whatever of `pin.tracks` isn't cached yet, calling
+// onProgress(done, total) after each track. Resolves to the new pin list.
+export async function pinTracks(pin, onProgress) {
+  if (!("caches" in window)) throw new Error("Cache Storage unavailable (needs HTTPS)");
+  // Ask the browser not to evict pinned music under storage pressure
+  navigator.storage?.persist?.().catch(() => {});
+  const cache = await openPinned();
+  let bytes = 0;
+
+  for (const [i, track] of pin.tracks.entries()) {
+    for (const url of urlsFor(track)) {
+      let res = await cache.match(cacheKey(url));
+      if (!res) {
+        res = await fetch(url);
+        // A missing cover isn't worth failing the pin over
+        if (!res.ok) {
+          if (url === streamUrl(track.id)) throw new Error(`${url}: ${res.status}`);
+          continue;
+        }
+        await cache.put(cacheKey(url), res.clone());
+      }
+      bytes += Number(res.headers.get("Content-Length")) || 0;
+    }
+    onProgress?.(i + 1, pin.tracks.length);
+  }
+
+  const pins = [
+    ...loadPins().filter((p) => p.id !== pin.id),
+    { ...pin, bytes, pinnedAt: Date.now() },
+  ];
+  saveSetting(userSetting("pins"), pins);
+  return pins;
+}
+
+// Removes the pin and whatever only it was keeping
+export async function unpinTracks(id) {
+  const pins = loadPins().filter((p) => p.id !== id);
+  const gone = loadPins().find((p) => p.id === id);
+  saveSetting(userSetting("pins"), pins);
+  if (gone && "caches" in window) {
+    const kept = pinnedTracks(pins);
+    const cache = await openPinned();
+    for (const track of gone.tracks) {
+      if (kept.has(track.id)) continue;
+      await Promise.all(urlsFor(track).map((url) => cache.delete(cacheKey(url))));
+    }
+  }
+  return pins;
+}
+
+// { usage, quota, persisted } in bytes, or null where unsupported
+export async function storageInfo() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  const persisted = (await navigator.storage.persisted?.()) || false;
+  return { usage, quota, persisted };
+}
@@ -0,0 +1,257 @@
+// Play queue: what's been played, what's playing and what's up next, kept
+// apart from the track list being browsed. Items wrap tracks with their own
+// key so the same track can be queued twice. All functions are pure and
+// return a new queue, for use with setQueue((q) => ...).
+//
+// Shuffling reorders the upcoming items themselves, so "Up Next" shows the
+// real order and going back walks the actual history. `shuffled` remembers
+// the mode and the keys in their original order, to restore on unshuffle.
+
+let nextKey = 0;
+const wrap = (tracks) => tracks.map((track) => ({ key: ++nextKey, track }));
+
+export const emptyQueue = { items: [], position: -1, shuffled: null };
+
+export const SHUFFLE_MODES = ["off", "tracks", "albums", "artists"];
+
+export const currentTrack = (q) => q.items[q.position]?.track || null;
+
+export const upNext = (q) => q.items.slice(q.position + 1);
+
+// Replace the queue with a context (an album, folder, playlist or the track
+// list) and start at `start`. With a shuffle mode that track goes first and
+// the whole rest of the context is shuffled after it; a negative `start`
+// shuffles everything.
+export function playContext(tracks, start = 0, mode = "off") {
+  if (!tracks.length) return emptyQueue;
+  const items = wrap(tracks);
+  const at = Math.min(start, tracks.length - 1);
+  const picked = items[at];
+  if (mode === "off") return { items, position: Math.max(0, at), shuffled: null };
+  const q = picked
+    ? { items: [picked, ...items.filter((item) => item !== picked)], position: 0, shuffled: null }
+    : { items, position: -1, shuffled: null };
+  const order = items.map((item) => item.key);
+  return { ...shuffle(q, mode), position: 0, shuffled: { mode, order } };
+}
+
+// Keys in unshuffled order, with `added` inserted after `afterKey` (or at
+// the end)
+function originalOrder(q, added, afterKey) {
+  if (!q.shuffled) return null;
+  const order = [...q.shuffled.order];
+  const at = afterKey === undefined ? -1 : order.indexOf(afterKey);
+  order.splice(at < 0 ? order.length : at + 1, 0, ...added.map((item) => item.key));
+  return { ...q.shuffled, order };
+}
+
+// Insert right after the current track
+export function playNext(q, tracks) {
+  const at = q.position + 1;
+  const added = wrap(tracks);
+  return {
+    items: [...q.items.slice(0, at), ...added, ...q.items.slice(at)],
+    position: q.position < 0 ? 0 : q.position,
+    shuffled: originalOrder(q, added, q.items[q.position]?.key),
+  };
+}
+
+// Add to the end, or while shuffled at random spots among the upcoming
+// items (the order already set stays as it is)
+export function append(q, tracks) {
+  const added = wrap(tracks);
+  const items = [...q.items];
+  for (const item of added) {
+    const from = q.position + 1;
+    const at = q.shuffled ? from + Math.floor(Math.random() * (items.length - from + 1)) : items.length;
+    items.splice(at, 0, item);
+  }
+  return {
+    items,
+    position: q.position < 0 ? 0 : q.position,
+    shuffled: originalOrder(q, added),
+  };
+}
+
+// Play `track` now: jump to it if it's already up next, otherwise insert it
+// after the current track and jump there
+export function playNow(q, track) {
+  const i = q.items.findIndex((item, j) => j > q.position && item.track.id === track.id);
+  if (i >= 0) return { ...q, position: i };
+  const next = playNext(q, [track]);
+  return { ...next, position: q.position + 1 };
+}
+
+export const jump = (q, i) => (q.items[i] ? { ...q, position: i } : q);
+
+export function remove(q, i) {
+  if (i === q.position || !q.items[i]) return q;
+  return {
+    ...q,
+    items: q.items.filter((_, j) => j !== i),
+    position: i < q.position ? q.position - 1 : q.position,
+  };
+}
+
+// Move an item, keeping the current track current
+export function move(q, from, to) {
+  if (from === to || !q.items[from] || !q.items[to]) return q;
+  const items = [...q.items];
+  const [item] = items.splice(from, 1);
+  items.splice(to, 0, item);
+  return { ...q, items, position: items.indexOf(q.items[q.position]) };
+}
+
+export const clearUpcoming = (q) => ({ ...q, items: q.items.slice(0, q.position + 1) });
+
+// Swap in updated tracks and drop deleted ones (except the one playing),
+// after a library change
+export function refresh(q, changed, gone) {
+  const playing = q.items[q.position];
+  const items = q.items
+    .filter((item) => item === playing || !gone.has(item.track.id))
+    .map((item) => (changed.has(item.track.id) ? { ...item, track: changed.get(item.track.id) } : item));
+  return {
+    ...q,
+    items,
+    position: playing ? items.findIndex((item) => item.key === playing.key) : -1,
+  };
+}
+
+// The queue after Next (or the current track ending); null at the end.
+// Repeat-all starts over, with a fresh order when shuffled.
+export function next(q, repeatMode) {
+  if (!q.items.length) return null;
+  if (q.position + 1 < q.items.length) return { ...q, position: q.position + 1 };
+  if (repeatMode !== "all") return null;
+  if (!q.shuffled) return { ...q, position: 0 };
+  const current = q.items[q.position];
+  let round = shuffle({ ...q, position: -1 }, q.shuffled.mode);
+  // Don't play the same track twice in a row across rounds
+  if (round.items.length > 1 && round.items[0] === current) {
+    const items = [...round.items];
+    items.push(items.shift());
+    round = { ...round, items };
+  }
+  return { ...round, position: 0 };
+}
+
+// Back through what actually played; wraps round only with repeat-all
+export function previous(q, repeatMode) {
+  if (!q.items.length) return null;
+  if (q.position > 0) return { ...q, position: q.position - 1 };
+  return repeatMode === "all" ? { ...q, position: q.items.length - 1 } : q;
+}
+
+// --- Shuffling ---
+
+function fisherYates(list) {
+  const a = [...list];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+const artistOf = (t) => t.meta?.albumArtist || t.meta?.artist || "";
+const albumOf = (t) => (t.meta?.album ? `${artistOf(t)}\0${t.meta.album}` : t.id);
+
+// Consecutive tracks of one album play straight through, never crossfaded
+export const sameAlbum = (a, b) => Boolean(a?.meta?.album && b && albumOf(a) === albumOf(b));
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item.track);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Whole albums in random order, each played through in its own order. The
+// rest of the album that's playing goes first.
+function shuffleAlbums(items, current) {
+  const groups = groupBy(items, albumOf);
+  const first = current ? groups.get(albumOf(current.track)) || [] : [];
+  if (current) groups.delete(albumOf(current.track));
+  return [...first, ...fisherYates([...groups.values()]).flat()];
+}
+
+// Each artist's tracks are spread evenly over the whole run (with some
+// jitter), so an artist with many tracks doesn't take over any stretch of it
+function shuffleArtists(items) {
+  const placed = [];
+  for (const group of groupBy(items, artistOf).values()) {
+    const n = group.length;
+    const offset = Math.random() / n;
+    fisherYates(group).forEach((item, i) => {
+      const jitter = (Math.random() - 0.5) * (0.2 / n);
+      placed.push({ item, at: offset + i / n + jitter });
+    });
+  }
+  return placed.sort((a, b) => a.at - b.at).map((p) => p.item);
+}
+
+// Shuffle everything after the current track (everything, if nothing is
+// current). Played items keep their place as history.
+export function shuffle(q, mode) {
+  const at = q.position + 1;
+  const upcoming = q.items.slice(at);
+  const current = q.items[q.position];
+  const reordered =
+    mode === "albums"
+      ? shuffleAlbums(upcoming, current)
+      : mode === "artists"
+      ? shuffleArtists(upcoming)
+      : fisherYates(upcoming);
+  return {
+    items: [...q.items.slice(0, at), ...reordered],
+    position: q.position,
+    shuffled: { mode, order: q.shuffled?.order || q.items.map((item) => item.key) },
+  };
+}
+
+// Back to the original order, staying on the current track
+export function unshuffle(q) {
+  if (!q.shuffled) return q;
+  const rank = new Map(q.shuffled.order.map((key, i) => [key, i]));
+  const items = [...q.items].sort(
+    (a, b) => (rank.get(a.key) ?? Infinity) - (rank.get(b.key) ?? Infinity)
+  );
+  const playing = q.items[q.position];
+  return { items, position: playing ? items.indexOf(playing) : -1, shuffled: null };
+}
+
+// For saving: items as track ids, library tracks only (dropped files don't
+// survive a reload). Nothing is current if a dropped file was.
+export function toSaved(q) {
+  const playing = q.items[q.position];
+  const items = q.items.filter((item) => item.track.remote);
+  return {
+    items: items.map((item) => ({ key: item.key, id: item.track.id })),
+    position: items.indexOf(playing),
+    shuffled: q.shuffled,
+  };
+}
+
+// A saved queue back, with fresh keys. Tracks no longer in the library are
+// dropped; if the current one is gone, the one before it becomes current.
+export function fromSaved(saved, tracksById) {
+  const keys = new Map();
+  const items = [];
+  let position = -1;
+  saved.items.forEach(({ key, id }, i) => {
+    const track = tracksById.get(id);
+    if (!track) return;
+    if (i <= saved.position) position = items.length;
+    keys.set(key, ++nextKey);
+    items.push({ key: nextKey, track });
+  });
+  const shuffled = saved.shuffled && {
+    mode: saved.shuffled.mode,
+    order: saved.shuffled.order.filter((key) => keys.has(key)).map((key) => keys.get(key)),
+  };
+  return { items, position, shuffled };
+}
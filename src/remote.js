@@ -0,0 +1,211 @@
+import { apiUrl, withToken } from "./api";
+import { loadSetting, saveSetting } from "./storage";
+
+// This player's side of the device hub (server/devices.mjs): registers as a
+// device, reports what it's playing and hears commands from other devices.
+// It also carries listening rooms (server/rooms.mjs), and keeps an estimate
+// of the server clock for following a room's timeline.
+
+const RETRY_MIN = 1000;
+const RETRY_MAX = 30000;
+// Position is extrapolated by the other side; it only needs resending when
+// it has drifted this far (seeks, stalls) or every KEEPALIVE ms
+const DRIFT = 2;
+const KEEPALIVE = 10000;
+// Clock sync: a burst of pings on connect, then one now and then. The
+// estimate comes from the sample with the shortest round trip, the one
+// least skewed by network delay.
+const CLOCK_BURST = 5;
+const CLOCK_EVERY = 30000;
+const CLOCK_SAMPLES = 10;
+
+// Per tab, so two tabs in one browser are two devices, but kept across
+// reloads so a reload doesn't look like a new device
+function deviceId() {
+  return sessionStorage.getItem("vaporplayer:deviceId") || newDeviceId();
+}
+
+// Duplicating a tab copies its sessionStorage, id included; the copy
+// finds out when the hub replaces one with the other, and takes a new one
+function newDeviceId() {
+  const id = crypto.randomUUID();
+  sessionStorage.setItem("vaporplayer:deviceId", id);
+  return id;
+}
+
+// Close codes from server/devices.mjs
+const REPLACED = 4000;
+const UNAUTHORIZED = 4401;
+
+const isMobile = () => /Android|iPhone|iPad|Mobile/i.test(navigator.userAgent);
+
+function defaultName() {
+  const ua = navigator.userAgent;
+  const browser = /Edg\//.test(ua)
+    ? "Edge"
+    : /Firefox\//.test(ua)
+    ? "Firefox"
+    : /Chrome\//.test(ua)
+    ? "Chrome"
+    : /Safari\//.test(ua)
+    ? "Safari"
+    : "Browser";
+  const os = /Android/.test(ua)
+    ? "Android"
+    : /iPhone|iPad/.test(ua)
+    ? "iOS"
+    : /Mac OS/.test(ua)
+    ? "Mac"
+    : /Windows/.test(ua)
+    ? "Windows"
+    : /Linux/.test(ua)
+    ? "Linux"
+    : "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+export const loadDeviceName = () => loadSetting("deviceName", defaultName());
+
+const socketUrl = () => {
+  const url = new URL(apiUrl(withToken("/api/devices")), location.href);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  return url.href;
+};
+
+// Extrapolated position of a device state heard at `receivedAt`
+export const positionOf = (state, receivedAt, now = Date.now()) =>
+  state.playing
+    ? Math.min(state.duration || Infinity, state.position + Math.max(0, now - receivedAt) / 1000)
+    : state.position;
+
+// Connects (and keeps reconnecting) to the hub. `onDevices(list)` gets
+// every device, this one included, with `receivedAt` added;
+// `onCommand(command, value, from)` runs commands sent to this one;
+// `onRoom(room)` and `onRoomError(message)` follow the room it's in.
+export function connectDevices({ onDevices, onCommand, onRoom, onRoomError }) {
+  let id = deviceId();
+  let name = loadDeviceName();
+  let socket = null;
+  let retry = RETRY_MIN;
+  let timer = null;
+  let closed = false;
+  let lastState = null;
+  let reported = null;
+  let roomId = null;
+  let offset = 0;
+  let samples = [];
+  let clockTimer = null;
+
+  const send = (message) => {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  };
+  const hello = () =>
+    send({ type: "hello", deviceId: id, name, kind: isMobile() ? "mobile" : "desktop" });
+
+  const ping = () => send({ type: "time", t0: Date.now() });
+
+  const onTime = ({ t0, server }) => {
+    const t1 = Date.now();
+    samples = [...samples, { rtt: t1 - t0, offset: server - (t0 + t1) / 2 }].slice(-CLOCK_SAMPLES);
+    offset = samples.reduce((best, s) => (s.rtt < best.rtt ? s : best)).offset;
+  };
+
+  const open = () => {
+    socket = new WebSocket(socketUrl());
+    socket.onopen = () => {
+      retry = RETRY_MIN;
+      hello();
+      reported = null;
+      if (lastState) report(lastState);
+      // Back into the room it was in before the connection dropped
+      if (roomId) send({ type: "room:join", roomId });
+      for (let i = 0; i < CLOCK_BURST; i++) setTimeout(ping, i * 200);
+      clockTimer = setInterval(ping, CLOCK_EVERY);
+    };
+    socket.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (msg.type === "devices") {
+        const now = Date.now();
+        onDevices(msg.devices.map((d) => ({ ...d, receivedAt: now })));
+      } else if (msg.type === "command") {
+        onCommand(msg.command, msg.value, msg.from);
+      } else if (msg.type === "time") {
+        onTime(msg);
+      } else if (msg.type === "room") {
+        roomId = msg.room?.id || null;
+        onRoom(msg.room);
+      } else if (msg.type === "room:error") {
+        onRoomError(msg.message);
+      }
+    };
+    socket.onclose = (e) => {
+      socket = null;
+      clearInterval(clockTimer);
+      onDevices([]);
+      // Signed out: retrying won't help until the page signs in again
+      if (closed || e.code === UNAUTHORIZED) return;
+      // Another tab with this id took over: come back as a new device
+      if (e.code === REPLACED) {
+        id = newDeviceId();
+        open();
+        return;
+      }
+      timer = setTimeout(open, retry);
+      retry = Math.min(RETRY_MAX, retry * 2);
+    };
+  };
+
+  // Sends `state` unless the others could have worked it out themselves
+  const report = (state) => {
+    lastState = state;
+    const now = Date.now();
+    if (reported) {
+      const { state: prev, at } = reported;
+      const same =
+        JSON.stringify({ ...prev, position: 0 }) === JSON.stringify({ ...state, position: 0 });
+      const drift = Math.abs(positionOf(prev, at, now) - state.position);
+      if (same && now - at < KEEPALIVE && drift < DRIFT) return;
+    }
+    reported = { state, at: now };
+    send({ type: "state", state });
+  };
+
+  open();
+
+  return {
+    get id() {
+      return id;
+    },
+    report,
+    command: (target, command, value) => send({ type: "command", target, command, value }),
+    rename(newName) {
+      name = newName.trim() || defaultName();
+      saveSetting("deviceName", name);
+      hello();
+    },
+    // Server time in ms, as best this device can tell
+    serverNow: () => Date.now() + offset,
+    createRoom: ({ queue, progress, playing }) =>
+      send({ type: "room:create", queue, progress, playing }),
+    joinRoom(id) {
+      roomId = id;
+      send({ type: "room:join", roomId: id });
+    },
+    leaveRoom() {
+      roomId = null;
+      send({ type: "room:leave" });
+    },
+    roomAction: (action, value) => send({ type: "room:action", action, value }),
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      clearInterval(clockTimer);
+      socket?.close();
+    },
+  };
+}
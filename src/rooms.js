@@ -0,0 +1,62 @@
+import { fromServer } from "./api";
+
+// Listening rooms on the client. The room (see server/rooms.mjs) owns the
+// queue and a timeline { playing, position, at } in server time; this
+// player plays whatever that says, nudging its speed to stay in step.
+
+// Further out than this (seconds) it jumps; closer, it speeds up or slows down
+const SEEK_THRESHOLD = 0.5;
+// Within this it's in sync and plays at normal speed
+const IN_SYNC = 0.03;
+// Largest speed change used to catch up, and how hard it leans on the error
+const MAX_NUDGE = 0.05;
+const NUDGE_GAIN = 0.5;
+
+export const ROOM_SYNC_INTERVAL = 1000;
+
+// Where the room is in the current track at `serverNow` (server ms)
+export const roomPosition = (timeline, serverNow) =>
+  timeline.playing
+    ? timeline.position + Math.max(0, serverNow - timeline.at) / 1000
+    : timeline.position;
+
+// How to correct a player that's `error` seconds behind the room (negative:
+// ahead): { seek: true } to jump, or the playback rate to run at
+export function correction(error, playing) {
+  if (Math.abs(error) > SEEK_THRESHOLD || (!playing && Math.abs(error) > IN_SYNC)) {
+    return { seek: true, rate: 1 };
+  }
+  if (!playing || Math.abs(error) < IN_SYNC) return { seek: false, rate: 1 };
+  const nudge = Math.max(-MAX_NUDGE, Math.min(MAX_NUDGE, error * NUDGE_GAIN));
+  return { seek: false, rate: 1 + nudge };
+}
+
+export const roomItemKey = (key) => `room:${key}`;
+
+// The room's queue as a local one. Items and tracks that were already there
+// are kept as they are, so an update doesn't look like a track change.
+export function roomQueue(room, previous) {
+  const items = new Map(previous.items.map((item) => [item.key, item]));
+  const tracks = new Map(previous.items.map(({ track }) => [track.id, track]));
+  return {
+    items: room.items.map(({ key, track }) => {
+      const known = items.get(roomItemKey(key));
+      if (known) return known;
+      return { key: roomItemKey(key), roomKey: key, track: tracks.get(track.id) || fromServer(track) };
+    }),
+    position: room.position,
+    shuffled: null,
+  };
+}
+
+export const joinLink = (roomId) => {
+  const url = new URL(location.href);
+  url.search = "";
+  url.hash = "";
+  url.searchParams.set("room", roomId);
+  return url.href;
+};
+
+// The room a link opened this page with, if any
+export const invitedRoom = () =>
+  new URLSearchParams(location.search).get("room")?.toUpperCase() || null;
@@ -0,0 +1,118 @@
+import { apiFetch, fromServer, getJson, sendJson, userSetting } from "./api";
+import { loadPins, pinnedTracks } from "./offline";
+import * as Queue from "./queue";
+import { loadSetting, saveSetting } from "./storage";
+
+// The player session (queue, position in the current track and playback
+// settings) is saved to localStorage every few seconds and to the server
+// less often, plus once more as the page goes away. On startup the newer
+// of the two wins, so another browser can pick up where this one stopped.
+// The local copy is per account, like everything else of theirs here.
+
+const LOCAL_EVERY = 2000;
+const SERVER_EVERY = 15000;
+
+export function snapshot({ queue, progress, settings }) {
+  const saved = Queue.toSaved(queue);
+  return {
+    queue: saved,
+    progress: saved.position >= 0 ? Math.round(progress * 10) / 10 : 0,
+    settings,
+  };
+}
+
+function putSession(session, keepalive) {
+  // keepalive lets the request outlive the page, but caps the body at 64 KB
+  return apiFetch("/api/session", {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(session),
+    keepalive,
+  }).then((res) => {
+    if (!res.ok) throw new Error(`/api/session: ${res.status}`);
+  });
+}
+
+let stopSaving = null;
+
+// Starts saving what `get()` returns ({ queue, progress, settings });
+// returns the function that stops it
+export function keepSession(get) {
+  let local = null;
+  let remote = null;
+
+  const save = (toServer, leaving = false) => {
+    const session = snapshot(get());
+    const json = JSON.stringify(session);
+    const stamped = { ...session, savedAt: Date.now() };
+    if (json !== local) {
+      local = json;
+      saveSetting(userSetting("session"), stamped);
+    }
+    if (toServer && json !== remote) {
+      remote = json;
+      putSession(stamped, leaving && json.length < 60000).catch((err) => {
+        remote = null;
+        console.warn("Saving session failed", err);
+      });
+    }
+  };
+
+  const localTimer = setInterval(() => save(false), LOCAL_EVERY);
+  const serverTimer = setInterval(() => save(true), SERVER_EVERY);
+  const onHide = () => document.visibilityState === "hidden" && save(true, true);
+  const onLeave = () => save(true, true);
+  document.addEventListener("visibilitychange", onHide);
+  window.addEventListener("pagehide", onLeave);
+  const stop = () => {
+    clearInterval(localTimer);
+    clearInterval(serverTimer);
+    document.removeEventListener("visibilitychange", onHide);
+    window.removeEventListener("pagehide", onLeave);
+    if (stopSaving === stop) stopSaving = null;
+  };
+  stopSaving = stop;
+  return stop;
+}
+
+// For signing out: stops saving, so the page going away can't write the
+// session back, and forgets this browser's copy
+export function endSession() {
+  stopSaving?.();
+  saveSetting(userSetting("session"), null);
+}
+
+// Track records for the saved ids; offline, only pinned tracks come back
+async function lookUp(ids) {
+  if (!ids.length) return new Map();
+  try {
+    const tracks = await sendJson("/api/tracks", "POST", { ids });
+    return new Map(tracks.map((t) => [t.id, fromServer(t)]));
+  } catch (err) {
+    console.warn("Track lookup failed, using pinned tracks", err);
+    return pinnedTracks(loadPins());
+  }
+}
+
+// A saved { queue, progress } (see snapshot) back as a live queue, with its
+// tracks looked up again. Progress only carries over if the track that was
+// playing still exists.
+export async function revive(saved) {
+  const ids = [...new Set(saved.queue.items.map((item) => item.id))];
+  const queue = Queue.fromSaved(saved.queue, await lookUp(ids));
+  const sameTrack =
+    Queue.currentTrack(queue)?.id === saved.queue.items[saved.queue.position]?.id;
+  return { queue, progress: sameTrack ? saved.progress : 0 };
+}
+
+// The newest saved session, revived, or null
+export async function restoreSession() {
+  const local = loadSetting(userSetting("session"), null);
+  const remote = await getJson("/api/session").catch((err) => {
+    console.warn("Server session unavailable", err);
+    return null;
+  });
+  const saved = [local, remote].filter(Boolean).sort((a, b) => b.savedAt - a.savedAt)[0];
+  if (!saved) return null;
+  return { ...(await revive(saved)), settings: saved.settings || {} };
+}
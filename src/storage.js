@@ -0,0 +1,20 @@
+// Player settings kept in localStorage, under a prefix so they can't clash
+// with anything else served from the same origin
+const PREFIX = "vaporplayer:";
+
+export function loadSetting(key, fallback) {
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveSetting(key, value) {
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.warn("Saving setting failed", key, err);
+  }
+}
@@ -0,0 +1,107 @@
+// Waveform peaks for the seekbar. Decoded in the browser (it can decode
+// whatever it can play) and cached in IndexedDB for library tracks, whose
+// ids are stable; dropped files are only cached for the session.
+
+import { sourceOf } from "./api";
+
+export const PEAK_COUNT = 600;
+// Peaks don't need fidelity: decoding at a low rate keeps a long track's
+// PCM at a few tens of MB instead of hundreds
+const DECODE_RATE = 8000;
+// The whole file is fetched and decoded in memory (an hour of stereo is
+// over 200 MB of PCM even at DECODE_RATE), so long mixes and huge files
+// keep the plain seekbar
+const MAX_DURATION = 30 * 60; // seconds
+const MAX_BYTES = 150 * 1024 * 1024;
+
+const tooLarge = (track) => track.meta?.duration > MAX_DURATION || track.size > MAX_BYTES;
+
+const DB_NAME = "vaporplayer";
+const STORE = "waveforms";
+
+const memory = new Map();
+const inflight = new Map();
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      console.warn("IndexedDB unavailable, waveforms won't be kept", err);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+async function dbRequest(mode, run) {
+  const db = await openDb();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const req = run(db.transaction(STORE, mode).objectStore(STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Loudest sample per slice, scaled 0–255, as a Uint8Array of PEAK_COUNT;
+// null if the file turns out too large
+async function computePeaks(src) {
+  const res = await fetch(src);
+  if (!res.ok) throw new Error(`Fetching audio failed: ${res.status}`);
+  if (Number(res.headers.get("Content-Length")) > MAX_BYTES) {
+    res.body?.cancel();
+    return null;
+  }
+  const ctx = new OfflineAudioContext(1, 1, DECODE_RATE);
+  const buffer = await ctx.decodeAudioData(await res.arrayBuffer());
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) =>
+    buffer.getChannelData(i)
+  );
+  const slice = buffer.length / PEAK_COUNT;
+  const peaks = new Float32Array(PEAK_COUNT);
+  let max = 0;
+  for (let p = 0; p < PEAK_COUNT; p++) {
+    const from = Math.floor(p * slice);
+    const to = Math.max(from + 1, Math.floor((p + 1) * slice));
+    let peak = 0;
+    for (const data of channels) {
+      for (let i = from; i < to && i < data.length; i++) {
+        const v = Math.abs(data[i]);
+        if (v > peak) peak = v;
+      }
+    }
+    peaks[p] = peak;
+    if (peak > max) max = peak;
+  }
+  // Normalised, so quiet masters still draw a readable shape
+  return Uint8Array.from(peaks, (v) => (max ? Math.round((v / max) * 255) : 0));
+}
+
+// Peaks for `track`, or null when it's too long to draw
+export function getPeaks(track) {
+  if (memory.has(track.id)) return Promise.resolve(memory.get(track.id));
+  if (tooLarge(track)) return Promise.resolve(null);
+  if (inflight.has(track.id)) return inflight.get(track.id);
+
+  const load = (async () => {
+    const cached = track.remote
+      ? await dbRequest("readonly", (s) => s.get(track.id)).catch(() => undefined)
+      : undefined;
+    const peaks = cached || (await computePeaks(sourceOf(track)));
+    if (!cached && peaks && track.remote) {
+      dbRequest("readwrite", (s) => s.put(peaks, track.id)).catch((err) =>
+        console.warn("Caching waveform failed", err)
+      );
+    }
+    memory.set(track.id, peaks);
+    return peaks;
+  })().finally(() => inflight.delete(track.id));
+
+  inflight.set(track.id, load);
+  return load;
+}
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bind, commandForCombo, keyCombo, resolveBindings, unbind } from "../src/commands.js";
+
+const key = (k, mods = {}) => ({ key: k, ctrlKey: false, altKey: false, metaKey: false, shiftKey: false, ...mods });
+
+test("keyCombo names keys the way bindings are stored", () => {
+  assert.equal(keyCombo(key(" ")), "Space");
+  assert.equal(keyCombo(key("N", { shiftKey: true })), "Shift+n");
+  assert.equal(keyCombo(key("?", { shiftKey: true })), "?");
+  assert.equal(keyCombo(key("ArrowLeft", { shiftKey: true, ctrlKey: true })), "Ctrl+Shift+ArrowLeft");
+  assert.equal(keyCombo(key("Shift", { shiftKey: true })), null);
+});
+
+test("binding a combo takes it away from the command that had it", () => {
+  const overrides = bind({}, "mute", "n");
+  const bindings = resolveBindings(overrides);
+  assert.equal(commandForCombo(bindings, "n"), "mute");
+  assert.deepEqual(bindings.next, []);
+  assert.deepEqual(bindings.mute, ["m", "n"]);
+  assert.equal(commandForCombo(resolveBindings(unbind(overrides, "mute", "n")), "n"), null);
+});
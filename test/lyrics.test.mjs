@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLrc } from "../server/lyrics.mjs";
+
+test("LRC lines come out sorted, one per timestamp", () => {
+  const lrc = "[ti:Song]\n[00:12.50]Second\n[00:01.00][01:00.00]First and last\n";
+  assert.deepEqual(parseLrc(lrc), {
+    synced: true,
+    lines: [
+      { time: 1, text: "First and last" },
+      { time: 12.5, text: "Second" },
+      { time: 60, text: "First and last" },
+    ],
+  });
+});
+
+test("offset shifts the lines and enhanced word timings are dropped", () => {
+  const lrc = "[offset:+500]\n[00:00.20]<00:00.20>Hel<00:00.60>lo\n[00:02.00]There\n";
+  assert.deepEqual(parseLrc(lrc).lines, [
+    { time: 0, text: "Hello" },
+    { time: 1.5, text: "There" },
+  ]);
+});
+
+test("text without timestamps is unsynced", () => {
+  assert.deepEqual(parseLrc("\uFEFFVerse one\r\nVerse two\r\n"), {
+    synced: false,
+    text: "Verse one\nVerse two",
+  });
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePlaylist, resolveEntries } from "../server/m3u.mjs";
+
+test("M3U entries carry their #EXTINF title and duration", () => {
+  const text = "\uFEFF#EXTM3U\r\n#EXTINF:215,Band - Song\r\nBand/Album/01.flac\r\n\r\nloose.mp3\r\n";
+  assert.deepEqual(parsePlaylist(text, "mix.m3u8"), [
+    { location: "Band/Album/01.flac", title: "Band - Song", duration: 215 },
+    { location: "loose.mp3", title: null, duration: null },
+  ]);
+});
+
+test("PLS entries are read in index order", () => {
+  const text = "[playlist]\nFile2=b.mp3\nTitle1=First\nFile1=a.mp3\nLength1=-1\nNumberOfEntries=2\n";
+  assert.deepEqual(parsePlaylist(text, "mix.pls"), [
+    { location: "a.mp3", title: "First", duration: -1 },
+    { location: "b.mp3", title: null, duration: null },
+  ]);
+});
+
+const library = ["Band/Album/01.flac", "Band/Album/02.flac", "Other/03.mp3"];
+const lookup = (p) => library.find((rel) => rel.toLowerCase() === p.toLowerCase()) || null;
+const resolve = (locations, playlistDir = "") =>
+  resolveEntries(
+    locations.map((location) => ({ location })),
+    { lookup, baseDir: "/music/", playlistDir }
+  );
+
+test("entries resolve relative to the playlist, under MUSIC_DIR or by suffix", () => {
+  const { tracks, unresolved } = resolve(
+    [
+      "01.flac",
+      "../Other/03.mp3",
+      "/music/Band/Album/02.flac",
+      "C:\\Users\\me\\Music\\band\\album\\01.flac",
+      "file:///home/me/Other/03.mp3",
+    ],
+    "Band/Album"
+  );
+  assert.deepEqual(tracks, [
+    "Band/Album/01.flac",
+    "Other/03.mp3",
+    "Band/Album/02.flac",
+    "Band/Album/01.flac",
+    "Other/03.mp3",
+  ]);
+  assert.deepEqual(unresolved, []);
+});
+
+test("streams and missing files are reported as unresolved", () => {
+  const { tracks, unresolved } = resolve(["http://radio.example/stream", "Band/Album/99.flac"]);
+  assert.deepEqual(tracks, []);
+  assert.deepEqual(unresolved, ["http://radio.example/stream", "Band/Album/99.flac"]);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { queryTracks } from "../server/query.mjs";
+
+const tracks = [1975, 1990, 1995, 1999, 2004, null].map((year, i) => ({
+  id: `t${i}`,
+  relPath: `${i}.mp3`,
+  name: `${i}.mp3`,
+  meta: { year },
+}));
+
+const years = (year) => queryTracks(tracks, { year }).items.map((t) => t.meta.year);
+
+test("year filters take single years and closed ranges", () => {
+  assert.deepEqual(years("1995"), [1995]);
+  assert.deepEqual(years("1990-1999"), [1990, 1995, 1999]);
+  assert.deepEqual(years(" 1990 - 1999 "), [1990, 1995, 1999]);
+});
+
+test("year ranges may be open-ended or reversed", () => {
+  assert.deepEqual(years("1999-"), [1999, 2004]);
+  assert.deepEqual(years("-1990"), [1975, 1990]);
+  assert.deepEqual(years("1999-1990"), [1990, 1995, 1999]);
+});
+
+test("malformed year filters are ignored", () => {
+  for (const spec of ["-", "199x", "1990-1999-2000", "nineties"]) {
+    assert.equal(queryTracks(tracks, { year: spec }).total, tracks.length, spec);
+  }
+});
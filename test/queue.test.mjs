@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  currentTrack,
+  fromSaved,
+  move,
+  next,
+  playContext,
+  playNext,
+  previous,
+  remove,
+  toSaved,
+  unshuffle,
+} from "../src/queue.js";
+
+const tracks = Array.from({ length: 6 }, (_, i) => ({ id: `t${i}`, remote: true }));
+const ids = (q) => q.items.map((item) => item.track.id);
+
+test("playContext starts at the picked track", () => {
+  const q = playContext(tracks, 2);
+  assert.equal(currentTrack(q).id, "t2");
+  assert.deepEqual(ids(q), tracks.map((t) => t.id));
+  assert.equal(q.shuffled, null);
+});
+
+test("shuffled playContext plays the picked track first and keeps every track", () => {
+  const q = playContext(tracks, 3, "tracks");
+  assert.equal(q.position, 0);
+  assert.equal(currentTrack(q).id, "t3");
+  assert.deepEqual([...ids(q)].sort(), tracks.map((t) => t.id));
+  assert.equal(q.shuffled.mode, "tracks");
+});
+
+test("unshuffle restores the context order and stays on the current track", () => {
+  let q = playContext(tracks, 3, "tracks");
+  q = next(next(q, "off"), "off");
+  const playing = currentTrack(q);
+  q = unshuffle(q);
+  assert.deepEqual(ids(q), tracks.map((t) => t.id));
+  assert.equal(currentTrack(q), playing);
+  assert.equal(q.shuffled, null);
+});
+
+test("next stops at the end unless repeating all", () => {
+  const q = playContext(tracks, tracks.length - 1);
+  assert.equal(next(q, "off"), null);
+  assert.equal(currentTrack(next(q, "all")).id, "t0");
+});
+
+test("a shuffled repeat-all round doesn't open with the track that just ended", () => {
+  const two = playContext(tracks.slice(0, 2), 0, "tracks");
+  const last = next(two, "off");
+  for (let i = 0; i < 20; i++) {
+    assert.notEqual(currentTrack(next(last, "all")), currentTrack(last));
+  }
+});
+
+test("previous walks back and wraps only with repeat-all", () => {
+  const q = playContext(tracks, 0);
+  assert.equal(previous(q, "off"), q);
+  assert.equal(currentTrack(previous(q, "all")).id, "t5");
+  assert.equal(currentTrack(previous(next(q, "off"), "off")).id, "t0");
+});
+
+test("move and remove keep the current track current", () => {
+  let q = playContext(tracks, 2);
+  q = move(q, 0, 4);
+  assert.equal(currentTrack(q).id, "t2");
+  assert.equal(ids(q)[4], "t0");
+  q = remove(q, 0);
+  assert.equal(currentTrack(q).id, "t2");
+  assert.equal(remove(q, q.position), q);
+  assert.equal(move(q, 0, 99), q);
+});
+
+test("playNext inserts after the current track", () => {
+  const q = playNext(playContext(tracks, 1), [{ id: "x", remote: true }]);
+  assert.equal(ids(q)[2], "x");
+  assert.equal(currentTrack(q).id, "t1");
+});
+
+test("a saved queue comes back without tracks that left the library", () => {
+  const q = playContext(tracks, 3, "tracks");
+  const saved = JSON.parse(JSON.stringify(toSaved(q)));
+  const byId = new Map(tracks.filter((t) => t.id !== "t1").map((t) => [t.id, t]));
+  const restored = fromSaved(saved, byId);
+  assert.equal(currentTrack(restored).id, "t3");
+  assert.equal(restored.items.length, 5);
+  assert.deepEqual(ids(unshuffle(restored)), ["t0", "t2", "t3", "t4", "t5"]);
+});
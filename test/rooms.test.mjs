@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Rooms only take tracks the library knows, so give it a saved index (with
+// no durations, which leaves advancing to "ended" and sets no timers)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "rooms-test-"));
+const ids = ["a", "b", "c", "d"];
+fs.writeFileSync(
+  path.join(dataDir, "library.json"),
+  JSON.stringify({ version: 4, tracks: ids.map((id) => ({ id, relPath: `${id}.mp3`, meta: {} })) })
+);
+process.env.DATA_DIR = dataDir;
+const { loadIndex } = await import("../server/library.mjs");
+const { handleRoomMessage } = await import("../server/rooms.mjs");
+loadIndex();
+fs.rmSync(dataDir, { recursive: true });
+
+function createHub() {
+  const inbox = new Map();
+  return {
+    send: (id, message) => inbox.set(id, [...(inbox.get(id) || []), message]),
+    name: (id) => id,
+    last: (id) => inbox.get(id)?.at(-1),
+    room: (id) => inbox.get(id)?.findLast((m) => m.type === "room")?.room,
+  };
+}
+
+function openRoom(hub, queue = { ids, position: 0 }) {
+  handleRoomMessage("host", { type: "room:create", queue, playing: false }, hub);
+  handleRoomMessage("guest", { type: "room:join", roomId: hub.room("host").id.toLowerCase() }, hub);
+}
+
+const act = (hub, device, action, value) =>
+  handleRoomMessage(device, { type: "room:action", action, value }, hub);
+const order = (room) => room.items.map((item) => item.track.id);
+
+test("a room starts from the creator's queue, leaving out unknown tracks", (t) => {
+  const hub = createHub();
+  t.after(() => ["host", "guest"].forEach((id) => handleRoomMessage(id, { type: "room:leave" }, hub)));
+  openRoom(hub, { ids: ["a", "zzz", "b"], position: 1 });
+  const room = hub.room("guest");
+  assert.deepEqual(order(room), ["a", "b"]);
+  assert.equal(room.position, 1);
+  assert.deepEqual(room.members, [{ id: "host", name: "host" }, { id: "guest", name: "guest" }]);
+});
+
+test("only the host controls playback, anyone edits the queue", (t) => {
+  const hub = createHub();
+  t.after(() => ["host", "guest"].forEach((id) => handleRoomMessage(id, { type: "room:leave" }, hub)));
+  openRoom(hub);
+  act(hub, "guest", "next");
+  assert.equal(hub.last("guest").type, "room:error");
+  assert.equal(hub.room("guest").position, 0);
+
+  act(hub, "guest", "move", { from: 3, to: 1 });
+  assert.deepEqual(order(hub.room("host")), ["a", "d", "b", "c"]);
+  act(hub, "host", "next");
+  assert.equal(hub.room("guest").position, 1);
+  assert.equal(hub.room("guest").timeline.playing, false);
+});
+
+test("jump and move ignore indices that aren't whole, in-range numbers", (t) => {
+  const hub = createHub();
+  t.after(() => ["host", "guest"].forEach((id) => handleRoomMessage(id, { type: "room:leave" }, hub)));
+  openRoom(hub);
+  for (const value of [-1, 4, 1.5, "2", null]) {
+    act(hub, "host", "jump", value);
+    act(hub, "host", "move", { from: value, to: 0 });
+    act(hub, "host", "move", { from: 0, to: value });
+  }
+  assert.deepEqual(order(hub.room("host")), ids);
+  assert.equal(hub.room("host").position, 0);
+
+  act(hub, "host", "jump", 2);
+  assert.equal(hub.room("host").position, 2);
+  assert.equal(hub.room("host").timeline.playing, true);
+  act(hub, "host", "move", { from: 2, to: 0 });
+  assert.deepEqual(order(hub.room("host")), ["c", "a", "b", "d"]);
+  assert.equal(hub.room("host").position, 0);
+});
+
+test("ended only advances past the track that is current", (t) => {
+  const hub = createHub();
+  t.after(() => ["host", "guest"].forEach((id) => handleRoomMessage(id, { type: "room:leave" }, hub)));
+  openRoom(hub);
+  const [first, second] = hub.room("host").items;
+  act(hub, "host", "ended", second.key);
+  assert.equal(hub.room("host").position, 0);
+  act(hub, "host", "ended", first.key);
+  assert.equal(hub.room("host").position, 1);
+  assert.equal(hub.room("host").timeline.playing, true);
+});
+
+test("the host leaving hands the room to the longest-standing guest", (t) => {
+  const hub = createHub();
+  t.after(() => handleRoomMessage("guest", { type: "room:leave" }, hub));
+  openRoom(hub);
+  const { id } = hub.room("host");
+  handleRoomMessage("host", { type: "room:leave" }, hub);
+  assert.equal(hub.room("host"), null);
+  assert.equal(hub.room("guest").hostId, "guest");
+  act(hub, "guest", "next");
+  assert.equal(hub.room("guest").position, 1);
+
+  handleRoomMessage("guest", { type: "room:leave" }, hub);
+  handleRoomMessage("other", { type: "room:join", roomId: id }, hub);
+  assert.equal(hub.last("other").type, "room:error");
+});